@@ -1,4 +1,4 @@
-function getFlickrPhotos(tags) {
+function searchPhotos(tags) {
   if (tags === 'error') {
     return Promise.reject('Internal server error');
   }
@@ -24,6 +24,42 @@ function getFlickrPhotos(tags) {
   ]);
 }
 
+function fetchPhotoPage(tags, tagmode, options = {}) {
+  return searchPhotos(tags).then(photos => ({
+    photos,
+    page: Number(options.page) || 1,
+    perPage: Number(options.perPage) || 20,
+    hasPreviousPage: (Number(options.page) || 1) > 1,
+    hasNextPage: false
+  }));
+}
+
+function findPhotosByLink(tags, tagmode, links) {
+  return searchPhotos(tags).then(photos => ({
+    photos: photos.filter(photo => links.indexOf(photo.link) !== -1),
+    missing: links.filter(link => !photos.some(photo => photo.link === link))
+  }));
+}
+
+function getFlickrPhotos(tags) {
+  return searchPhotos(tags);
+}
+
+function hasPhotoSource(name) {
+  return name === 'flickr';
+}
+
+function listPhotoSources() {
+  return ['flickr'];
+}
+
 module.exports = {
+  DEFAULT_SOURCE: 'flickr',
+  DEFAULT_PER_PAGE: 20,
+  hasPhotoSource,
+  listPhotoSources,
+  searchPhotos,
+  fetchPhotoPage,
+  findPhotosByLink,
   getFlickrPhotos
 };
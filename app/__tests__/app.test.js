@@ -42,6 +42,16 @@ describe('index route', () => {
       });
   });
 
+  test('should respond with a 200 with invalid pagination parameters', () => {
+    return request(app)
+      .get('/?tags=california&tagmode=all&per_page=500')
+      .expect('Content-Type', /html/)
+      .expect(200)
+      .then(response => {
+        expect(response.text).toMatch(/<div class="alert alert-danger">/);
+      });
+  });
+
   test('should respond with a 500 error due to bad jsonp data', () => {
     return request(app)
       .get('/?tags=error&tagmode=all')
@@ -52,3 +62,147 @@ describe('index route', () => {
       });
   });
 });
+
+describe('health route', () => {
+  afterEach(() => {
+    app.server.close();
+  });
+
+  test('should report the rate limiter mode', () => {
+    return request(app)
+      .get('/health')
+      .expect('Content-Type', /json/)
+      .expect(200)
+      .then(response => {
+        expect(response.body).toMatchObject({
+          status: 'ok',
+          redis: 'disconnected',
+          rateLimiter: { mode: 'memory' }
+        });
+      });
+  });
+});
+
+describe('authenticated routes', () => {
+  afterEach(() => {
+    app.server.close();
+  });
+
+  test('should respond with a 401 to POST /zip without an ID token', () => {
+    return request(app)
+      .post('/zip?tags=california')
+      .expect('Content-Type', /json/)
+      .expect(401);
+  });
+
+  test('should respond with a 401 to GET /job-status/:jobId without an ID token', () => {
+    return request(app)
+      .get('/job-status/00000000-0000-4000-8000-000000000000')
+      .expect('Content-Type', /json/)
+      .expect(401);
+  });
+
+  test('should respond with a 401 to GET /jobs/:id/events without an ID token', () => {
+    return request(app)
+      .get('/jobs/00000000-0000-4000-8000-000000000000/events')
+      .expect('Content-Type', /json/)
+      .expect(401);
+  });
+
+  test('should respond with a 401 to GET /api/zips/:id/download without an ID token', () => {
+    return request(app)
+      .get('/api/zips/photos-california-1/download')
+      .expect('Content-Type', /json/)
+      .expect(401);
+  });
+
+  test('should respond with a 401 to DELETE /api/zips/:id without an ID token', () => {
+    return request(app)
+      .delete('/api/zips/photos-california-1')
+      .expect('Content-Type', /json/)
+      .expect(401);
+  });
+
+  test('should respond with a 401 to GET /api/me/quota without an ID token', () => {
+    return request(app)
+      .get('/api/me/quota')
+      .expect('Content-Type', /json/)
+      .expect(401);
+  });
+
+  test('should respond with a 401 to GET /api/zips without an ID token', () => {
+    return request(app)
+      .get('/api/zips?prenom=Marie')
+      .expect('Content-Type', /json/)
+      .expect(401);
+  });
+});
+
+describe('photos api route', () => {
+  afterEach(() => {
+    app.server.close();
+  });
+
+  test('should respond with the normalized photos as json', () => {
+    return request(app)
+      .get('/api/photos?tags=california&tagmode=all')
+      .expect('Content-Type', /json/)
+      .expect(200)
+      .then(response => {
+        expect(response.body).toMatchObject({
+          success: true,
+          page: 1,
+          hasNextPage: false
+        });
+        expect(response.body.photos).toEqual([
+          {
+            title: 'Point Lobos sunset',
+            link: 'http://www.flickr.com/photos/nathanleefer/24437997081/',
+            media: {
+              t: 'http://farm2.staticflickr.com/1566/24437997081_a18e803502_t.jpg',
+              m: 'http://farm2.staticflickr.com/1566/24437997081_a18e803502_m.jpg',
+              b: 'http://farm2.staticflickr.com/1566/24437997081_a18e803502_b.jpg'
+            },
+            author: 'nobody@flickr.com ("nathan.leefer")',
+            tags: 'sunsetcalifornia pointlobospacificoceanmontereycarmelbigsur',
+            date_taken: '2013-09-21T19:02:39-08:00'
+          }
+        ]);
+      });
+  });
+
+  test('should respond with a 400 INVALID_PARAMS error for invalid tags', () => {
+    return request(app)
+      .get('/api/photos?tags=california123&tagmode=all')
+      .expect('Content-Type', /json/)
+      .expect(400)
+      .then(response => {
+        expect(response.body.success).toBe(false);
+        expect(response.body.error.code).toBe('INVALID_PARAMS');
+      });
+  });
+
+  test('should respond with a 400 INVALID_PARAMS error without tags or tagmode', () => {
+    return Promise.all(
+      ['/api/photos?tagmode=all', '/api/photos?tags=&tagmode=all', '/api/photos?tags=california'].map(url => {
+        return request(app)
+          .get(url)
+          .expect('Content-Type', /json/)
+          .expect(400)
+          .then(response => {
+            expect(response.body.error.code).toBe('INVALID_PARAMS');
+          });
+      })
+    );
+  });
+
+  test('should respond with a 502 UPSTREAM_ERROR error when the source fails', () => {
+    return request(app)
+      .get('/api/photos?tags=error&tagmode=all')
+      .expect('Content-Type', /json/)
+      .expect(502)
+      .then(response => {
+        expect(response.body.error.code).toBe('UPSTREAM_ERROR');
+      });
+  });
+});
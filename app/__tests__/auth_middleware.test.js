@@ -0,0 +1,127 @@
+let authMiddleware;
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('requireAuth(req, res, next)', () => {
+  beforeEach(() => {
+    jest.resetModules();
+
+    // mock the firebase admin app and its token verification
+    jest.doMock('../../app/firebase', () => {
+      return {
+        firebaseAdminApp: {
+          auth: () => ({
+            verifyIdToken: jest.fn(token => {
+              if (token === 'valid-token') {
+                return Promise.resolve({
+                  uid: 'uid-123',
+                  email: 'marie@example.com',
+                  name: 'Marie Curie'
+                });
+              }
+              return Promise.reject(new Error('Firebase ID token has expired'));
+            })
+          })
+        }
+      };
+    });
+
+    authMiddleware = require('../../app/auth_middleware');
+  });
+
+  test('should attach the verified user to the request', () => {
+    const req = { headers: { authorization: 'Bearer valid-token' } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    return authMiddleware.requireAuth(req, res, next).then(() => {
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual({
+        uid: 'uid-123',
+        email: 'marie@example.com',
+        name: 'Marie Curie'
+      });
+    });
+  });
+
+  test('should respond with a 401 when the header is missing', () => {
+    const req = { headers: {} };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    return authMiddleware.requireAuth(req, res, next).then(() => {
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  test('should respond with a 401 for an invalid token', () => {
+    const req = { headers: { authorization: 'Bearer expired-token' } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    return authMiddleware.requireAuth(req, res, next).then(() => {
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'Invalid or expired ID token'
+      });
+    });
+  });
+});
+
+describe('requireAuthOrQueryToken(req, res, next)', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    jest.doMock('../../app/firebase', () => {
+      return {
+        firebaseAdminApp: {
+          auth: () => ({
+            verifyIdToken: token => {
+              if (token === 'valid-token') {
+                return Promise.resolve({ uid: 'uid-123' });
+              }
+              return Promise.reject(new Error('Firebase ID token has expired'));
+            }
+          })
+        }
+      };
+    });
+
+    authMiddleware = require('../../app/auth_middleware');
+  });
+
+  test('should accept the token as a query parameter', () => {
+    const req = { headers: {}, query: { token: 'valid-token' } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    return authMiddleware.requireAuthOrQueryToken(req, res, next).then(() => {
+      expect(next).toHaveBeenCalled();
+      expect(req.user.uid).toBe('uid-123');
+    });
+  });
+
+  test('should respond with a 401 without a token', () => {
+    const req = { headers: {}, query: {} };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    return authMiddleware.requireAuthOrQueryToken(req, res, next).then(() => {
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+});
+
+describe('getBearerToken(req)', () => {
+  test('should ignore other authorization schemes', () => {
+    const req = { headers: { authorization: 'Basic dXNlcjpwYXNz' } };
+    expect(authMiddleware.getBearerToken(req)).toBe(null);
+  });
+});
@@ -0,0 +1,122 @@
+const {
+  normalizeIp,
+  getBucketAddress,
+  loadClientIpConfig,
+  parseForwardedHeader,
+  resolveClientIp
+} = require('../../app/client_ip');
+
+function mockRequest(remoteAddress, headers = {}) {
+  return { headers, socket: { remoteAddress } };
+}
+
+describe('normalizeIp(value)', () => {
+  test('should keep IPv4 addresses and drop ports', () => {
+    expect(normalizeIp('203.0.113.7')).toBe('203.0.113.7');
+    expect(normalizeIp(' 203.0.113.7:4711 ')).toBe('203.0.113.7');
+  });
+
+  test('should write IPv6 addresses in their canonical form', () => {
+    expect(normalizeIp('2001:0DB8:0000:0000:0000:0000:0000:0001')).toBe('2001:db8::1');
+    expect(normalizeIp('2001:db8:0:0:1:0:0:1')).toBe('2001:db8::1:0:0:1');
+    expect(normalizeIp('[2001:db8:cafe::17]:4711')).toBe('2001:db8:cafe::17');
+    expect(normalizeIp('fe80::1%eth0')).toBe('fe80::1');
+    expect(normalizeIp('::1')).toBe('::1');
+  });
+
+  test('should turn IPv4-mapped addresses into IPv4', () => {
+    expect(normalizeIp('::ffff:203.0.113.7')).toBe('203.0.113.7');
+    expect(normalizeIp('::FFFF:cb00:7107')).toBe('203.0.113.7');
+  });
+
+  test('should return null for anything else', () => {
+    expect(normalizeIp('unknown')).toBeNull();
+    expect(normalizeIp('_hidden')).toBeNull();
+    expect(normalizeIp('1.2.3.4, 5.6.7.8')).toBeNull();
+    expect(normalizeIp(undefined)).toBeNull();
+  });
+});
+
+describe('getBucketAddress(ip, ipv6Prefix)', () => {
+  test('should group IPv6 addresses by subnet', () => {
+    expect(getBucketAddress('2001:db8:1:2:aaaa:bbbb:cccc:dddd', 64)).toBe('2001:db8:1:2::/64');
+    expect(getBucketAddress('2001:db8:1:2ff::1', 56)).toBe('2001:db8:1:200::/56');
+  });
+
+  test('should leave IPv4 addresses, and IPv6 without a prefix, alone', () => {
+    expect(getBucketAddress('203.0.113.7', 64)).toBe('203.0.113.7');
+    expect(getBucketAddress('2001:db8::1', 0)).toBe('2001:db8::1');
+  });
+});
+
+describe('parseForwardedHeader(header)', () => {
+  test('should return the for= values, client first', () => {
+    expect(
+      parseForwardedHeader('for=192.0.2.60;proto=http;by=203.0.113.43, For="[2001:db8:cafe::17]:4711", proto=https')
+    ).toEqual(['192.0.2.60', '[2001:db8:cafe::17]:4711', null]);
+  });
+});
+
+describe('loadClientIpConfig(env)', () => {
+  test('should reject invalid proxies and headers', () => {
+    expect(() => loadClientIpConfig({ TRUSTED_PROXIES: '10.0.0.0/33' })).toThrow('Invalid trusted proxy: 10.0.0.0/33');
+    expect(() => loadClientIpConfig({ TRUSTED_PROXIES: 'proxy.local' })).toThrow('Invalid trusted proxy');
+    expect(() => loadClientIpConfig({ TRUSTED_PROXY_HEADER: 'x-real-ip' })).toThrow('Unknown trusted proxy header');
+  });
+
+  test('should only accept valid IPv6 prefixes', () => {
+    expect(loadClientIpConfig({ RATE_LIMIT_IPV6_PREFIX: '64' }).ipv6Prefix).toBe(64);
+    expect(loadClientIpConfig({ RATE_LIMIT_IPV6_PREFIX: '200' }).ipv6Prefix).toBe(0);
+  });
+});
+
+describe('resolveClientIp(req, config)', () => {
+  test('should ignore forwarded headers without trusted proxies', () => {
+    const config = loadClientIpConfig({});
+    const req = mockRequest('203.0.113.7', { 'x-forwarded-for': '198.51.100.1' });
+    expect(resolveClientIp(req, config)).toBe('203.0.113.7');
+  });
+
+  test('should take the address added by the trusted proxies', () => {
+    const config = loadClientIpConfig({ TRUSTED_PROXIES: 'loopback, 10.0.0.0/8' });
+    const req = mockRequest('::ffff:127.0.0.1', { 'x-forwarded-for': '6.6.6.6, 198.51.100.1, 10.1.2.3' });
+    expect(resolveClientIp(req, config)).toBe('198.51.100.1');
+  });
+
+  test('should count hops when configured', () => {
+    const config = loadClientIpConfig({ TRUSTED_PROXY_HOPS: '2' });
+    const req = mockRequest('10.0.0.1', { 'x-forwarded-for': '6.6.6.6,198.51.100.1,10.0.0.2' });
+    expect(resolveClientIp(req, config)).toBe('198.51.100.1');
+  });
+
+  test('should not go past the start of the chain', () => {
+    const config = loadClientIpConfig({ TRUSTED_PROXY_HOPS: '3' });
+    const req = mockRequest('10.0.0.1', { 'x-forwarded-for': '198.51.100.1' });
+    expect(resolveClientIp(req, config)).toBe('198.51.100.1');
+  });
+
+  test('should ignore a spoofed header from an untrusted peer', () => {
+    const config = loadClientIpConfig({ TRUSTED_PROXIES: '10.0.0.0/8' });
+    const req = mockRequest('203.0.113.7', { 'x-forwarded-for': '10.0.0.5' });
+    expect(resolveClientIp(req, config)).toBe('203.0.113.7');
+  });
+
+  test('should stop at a value that is not an address', () => {
+    const config = loadClientIpConfig({ TRUSTED_PROXIES: 'private' });
+    const req = mockRequest('10.0.0.1', { 'x-forwarded-for': '198.51.100.1, garbage' });
+    expect(resolveClientIp(req, config)).toBe('10.0.0.1');
+  });
+
+  test('should read the Forwarded header when configured, and only that one', () => {
+    const config = loadClientIpConfig({ TRUSTED_PROXIES: 'private', TRUSTED_PROXY_HEADER: 'Forwarded' });
+    const req = mockRequest('10.0.0.1', {
+      forwarded: 'for=6.6.6.6, for="[2001:DB8:cafe::17]:4711";proto=https',
+      'x-forwarded-for': '198.51.100.1'
+    });
+    expect(resolveClientIp(req, config)).toBe('2001:db8:cafe::17');
+  });
+
+  test('should return null without a socket address', () => {
+    expect(resolveClientIp(mockRequest(undefined), loadClientIpConfig({}))).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+let deadLetters;
+let jobStore;
+let sendMessage;
+
+beforeEach(() => {
+  jest.resetModules();
+  jest.doMock('../../app/queue', () => {
+    return { sendMessage: jest.fn(() => Promise.resolve('new-message-id')) };
+  });
+
+  sendMessage = require('../../app/queue').sendMessage;
+  jobStore = require('../../app/job_store');
+  deadLetters = require('../../app/dead_letters');
+});
+
+describe('getDeliveryAttempt(message)', () => {
+  test('should count deliveries of the same message', () => {
+    const message = { id: 'message-1' };
+
+    expect(deadLetters.getDeliveryAttempt(message)).toBe(1);
+    expect(deadLetters.getDeliveryAttempt(message)).toBe(2);
+
+    deadLetters.forgetDeliveryAttempts(message);
+    expect(deadLetters.getDeliveryAttempt(message)).toBe(1);
+  });
+
+  test('should forget messages not delivered again within an hour', () => {
+    const message = { id: 'message-5' };
+    const now = Date.now();
+
+    expect(deadLetters.getDeliveryAttempt(message, now)).toBe(1);
+    expect(deadLetters.getDeliveryAttempt(message, now + 1000)).toBe(2);
+    expect(deadLetters.getDeliveryAttempt(message, now + 1000 + 60 * 60 * 1000)).toBe(1);
+  });
+
+  test('should trust message.deliveryAttempt when Pub/Sub sets it', () => {
+    expect(deadLetters.getDeliveryAttempt({ id: 'message-2', deliveryAttempt: 4 })).toBe(4);
+  });
+});
+
+describe('hasExhaustedAttempts(attempt, maxAttempts)', () => {
+  test('should give up at maxAttempts', () => {
+    expect(deadLetters.hasExhaustedAttempts(2, 3)).toBe(false);
+    expect(deadLetters.hasExhaustedAttempts(3, 3)).toBe(true);
+  });
+});
+
+describe('deadLetterMessage(message, messageData, failure)', () => {
+  const messageData = { jobId: null, uid: 'uid-1', tags: 'dogs', requestType: 'zip' };
+
+  test('should publish to the dead-letter topic and keep a record', () => {
+    return deadLetters
+      .deadLetterMessage({ id: 'message-3' }, messageData, { attempts: 5, error: 'No bucket' })
+      .then(() => deadLetters.getDeadLetter('message-3'))
+      .then(record => {
+        expect(sendMessage.mock.calls[0][1]).toMatch(/-dead-letter$/);
+        expect(record).toMatchObject({ uid: 'uid-1', tags: 'dogs', attempts: 5, error: 'No bucket' });
+        return deadLetters.listDeadLetters();
+      })
+      .then(records => {
+        expect(records).toHaveLength(1);
+      });
+  });
+
+  test('should replay the request on its job', () => {
+    const jobId = jobStore.generateJobId();
+    const data = Object.assign({}, messageData, { jobId });
+
+    return jobStore
+      .createJob(jobId, { tags: 'dogs' })
+      .then(() => jobStore.setJobStatus(jobId, 'failed', { error: 'No bucket' }))
+      .then(() => deadLetters.deadLetterMessage({ id: 'message-4' }, data, { attempts: 5, error: 'No bucket' }))
+      .then(() => deadLetters.replayDeadLetter('message-4'))
+      .then(newMessageId => {
+        expect(newMessageId).toBe('new-message-id');
+        expect(sendMessage).toHaveBeenLastCalledWith(expect.objectContaining({ jobId, tags: 'dogs' }));
+        // same format as the messages of POST /zip
+        expect(sendMessage.mock.calls[1][0].timestamp).toMatch(/^\d{4}-\d{2}-\d{2}T.*Z$/);
+        return Promise.all([jobStore.getJob(jobId), deadLetters.getDeadLetter('message-4')]);
+      })
+      .then(([job, record]) => {
+        // a cleared field is removed from the record, as in Firebase
+        expect(job.status).toBe('queued');
+        expect(job).not.toHaveProperty('error');
+        expect(record.replayCount).toBe(1);
+      });
+  });
+
+  test('should fail to replay an unknown message', () => {
+    return expect(deadLetters.replayDeadLetter('unknown')).rejects.toThrow(/not found/);
+  });
+});
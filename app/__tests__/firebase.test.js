@@ -0,0 +1,32 @@
+// without GOOGLE_APPLICATION_CREDENTIALS the zip history is kept in memory
+const firebase = require('../../app/firebase');
+
+describe('findZipById(uid, zipId)', () => {
+  beforeAll(() => {
+    return firebase.saveZipDataToFirebase(
+      'uid-marie',
+      'photos-california-1.zip',
+      '/files/photos-california-1.zip?expires=1&signature=x',
+      'local://photos-california-1.zip',
+      ['http://example.com/photo_m.jpg']
+    );
+  });
+
+  test('should find an archive of the user by file key', () => {
+    return firebase.findZipById('uid-marie', 'photos-california-1').then(zip => {
+      expect(zip.id).toBe('photos-california-1');
+      expect(zip.timeSlot).toMatch(/^\d{2}-\d{2}-\d{2}-\d{3}$/);
+      expect(zip.zipData).toMatchObject({
+        filename: 'photos-california-1.zip',
+        storagePath: 'local://photos-california-1.zip',
+        photoCount: 1
+      });
+    });
+  });
+
+  test('should not find the archive of another user', () => {
+    return firebase.findZipById('uid-paul', 'photos-california-1').then(zip => {
+      expect(zip).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const { createMemoryDataStore } = require('../../app/data_stores/memory');
+
+/**
+ * A Realtime Database stand-in: like the real one, a transaction first runs
+ * its update function on the value cached by the client (nothing here), then
+ * again on the value of the server
+ */
+function createFakeDb() {
+  const server = createMemoryDataStore();
+  const listeners = [];
+
+  function snapshotOf(value) {
+    return { val: () => value, exists: () => value !== null };
+  }
+
+  const ref = jest.fn(path => ({
+    once: () => server.get(path).then(snapshotOf),
+    set: value => server.set(path, value),
+    update: changes => server.update(path, changes),
+    remove: () => server.remove(path),
+    transaction: updateFn => {
+      updateFn(null);
+      return server.transaction(path, updateFn).then(result => {
+        return { committed: result.committed, snapshot: snapshotOf(result.value) };
+      });
+    },
+    on: (eventType, onSnapshot) => {
+      listeners.push({ path, onSnapshot, unwatch: server.watch(path, value => onSnapshot(snapshotOf(value))) });
+    },
+    off: (eventType, onSnapshot) => {
+      listeners.filter(listener => listener.path === path && listener.onSnapshot === onSnapshot).forEach(listener => {
+        listener.unwatch();
+      });
+    }
+  }));
+
+  return { ref };
+}
+
+let db;
+
+beforeEach(() => {
+  jest.resetModules();
+  db = createFakeDb();
+  jest.doMock('../../app/firebase', () => {
+    return Object.assign({}, jest.requireActual('../../app/firebase'), { db });
+  });
+});
+
+describe('createFirebaseDataStore(db)', () => {
+  let store;
+
+  beforeEach(() => {
+    store = require('../../app/data_stores/firebase').createFirebaseDataStore(db);
+  });
+
+  test('should be the default backend with Firebase credentials', () => {
+    expect(require('../../app/data_store').getDataStore().name).toBe('firebase');
+  });
+
+  test('should read, update and remove records', async () => {
+    await store.set('jobs/job-1', { status: 'queued' });
+    await store.update('jobs/job-1', { status: 'done', 'timestamps/done': 't1' });
+
+    expect(await store.get('jobs/job-1')).toEqual({ status: 'done', timestamps: { done: 't1' } });
+    expect(db.ref).toHaveBeenCalledWith('jobs/job-1');
+
+    await store.remove('jobs/job-1');
+    expect(await store.get('jobs/job-1')).toBeNull();
+  });
+
+  test('should report whether a transaction committed, with the value it left', async () => {
+    const claim = jobId => current => (current ? undefined : { jobId });
+
+    const first = await store.transaction('zipInFlight/key', claim('job-1'));
+    const second = await store.transaction('zipInFlight/key', claim('job-2'));
+
+    expect(first).toEqual({ committed: true, value: { jobId: 'job-1' } });
+    expect(second).toEqual({ committed: false, value: { jobId: 'job-1' } });
+  });
+
+  test('should watch a record until unwatched', async () => {
+    const values = [];
+    const unwatch = store.watch('jobs/job-1', value => values.push(value));
+
+    await new Promise(resolve => setImmediate(resolve));
+    await store.set('jobs/job-1', { status: 'done' });
+    unwatch();
+    await store.remove('jobs/job-1');
+
+    expect(values).toEqual([null, { status: 'done' }]);
+  });
+});
+
+describe('transactions in Firebase', () => {
+  const now = Date.parse('2025-10-20T18:30:00.000Z');
+  const policy = { jobsPerDay: 2, concurrentJobs: 1, storedBytes: 1000 };
+
+  test('should count daily and running jobs once each', async () => {
+    const quota = require('../../app/quota');
+
+    const first = await quota.reserveJobSlot('uid-marie', 'job-1', { policy, now });
+    const second = await quota.reserveJobSlot('uid-marie', 'job-2', { policy, now });
+
+    expect(first.allowed).toBe(true);
+    expect(second).toMatchObject({ allowed: false, exceeded: 'concurrentJobs' });
+    // the refused job gave its daily job back
+    expect(second.usage.jobsPerDay.used).toBe(1);
+
+    await quota.releaseJobSlot('uid-marie', 'job-1');
+    expect((await quota.reserveJobSlot('uid-marie', 'job-3', { policy, now })).allowed).toBe(true);
+    expect(await quota.reserveJobSlot('uid-marie', 'job-4', { policy, now: now + 1 })).toMatchObject({
+      allowed: false,
+      exceeded: 'jobsPerDay'
+    });
+  });
+
+  test('should hand later callers the job already building an archive', async () => {
+    const zipCache = require('../../app/zip_cache');
+
+    expect(await zipCache.claimInFlightJob('key', 'job-1')).toBe('job-1');
+    expect(await zipCache.claimInFlightJob('key', 'job-2')).toBe('job-1');
+
+    await zipCache.releaseInFlightJob('key', 'job-2');
+    expect(await zipCache.claimInFlightJob('key', 'job-3')).toBe('job-1');
+
+    await zipCache.releaseInFlightJob('key', 'job-1');
+    expect(await zipCache.claimInFlightJob('key', 'job-3')).toBe('job-3');
+  });
+
+  test('should skip a sweep while another one holds the lock, and release its own', async () => {
+    const retention = require('../../app/retention');
+    const store = require('../../app/data_store').getDataStore();
+    const sweepPolicy = { maxAgeDays: 30, maxArchivesPerUser: 0, maxBytesPerUser: 0 };
+    await store.set('retentionSweepLock', { holder: 'other-instance', expiresAt: Date.now() + 60000 });
+
+    expect((await retention.sweepExpiredZips({ policy: sweepPolicy })).skipped).toBe(true);
+
+    await store.remove('retentionSweepLock');
+    expect((await retention.sweepExpiredZips({ policy: sweepPolicy })).skipped).toBe(false);
+    expect(await store.get('retentionSweepLock')).toBeNull();
+  });
+});
@@ -20,6 +20,17 @@ describe('isValidCommaDelimitedList(value)', () => {
     const tags = 'dogs%$';
     expect(formValidator.isValidCommaDelimitedList(tags)).toBe(false);
   });
+
+  test('should return false for a missing list', () => {
+    expect(formValidator.isValidCommaDelimitedList(undefined)).toBe(false);
+    expect(formValidator.isValidCommaDelimitedList(['dogs'])).toBe(false);
+  });
+
+  test('should return false for more than 10 search terms', () => {
+    const tags = 'a,b,c,d,e,f,g,h,i,j,k';
+    expect(formValidator.isValidCommaDelimitedList(tags)).toBe(false);
+    expect(formValidator.isValidCommaDelimitedList('a,b,c,d,e,f,g,h,i,j,,')).toBe(true);
+  });
 });
 
 describe('isValidTagmode(value)', () => {
@@ -57,4 +68,123 @@ describe('hasValidFlickrAPIParams(tags, tagmode)', () => {
     const tagmode = 'all123';
     expect(formValidator.hasValidFlickrAPIParams(tags, tagmode)).toBe(false);
   });
+
+  test('should return false for missing tags', () => {
+    expect(formValidator.hasValidFlickrAPIParams(undefined, 'all')).toBe(false);
+  });
+});
+
+describe('isValidPage(value)', () => {
+  test('should return true for a positive integer', () => {
+    expect(formValidator.isValidPage('3')).toBe(true);
+  });
+
+  test('should return false for zero', () => {
+    expect(formValidator.isValidPage('0')).toBe(false);
+  });
+
+  test('should return false for a decimal number', () => {
+    expect(formValidator.isValidPage('1.5')).toBe(false);
+  });
+
+  test('should return false past the last page', () => {
+    expect(formValidator.isValidPage(String(formValidator.MAX_PAGE))).toBe(true);
+    expect(formValidator.isValidPage(String(formValidator.MAX_PAGE + 1))).toBe(false);
+  });
+});
+
+describe('isValidPerPage(value)', () => {
+  test('should return true for the maximum page size', () => {
+    const perPage = String(formValidator.MAX_PER_PAGE);
+    expect(formValidator.isValidPerPage(perPage)).toBe(true);
+  });
+
+  test('should return false above the maximum page size', () => {
+    const perPage = String(formValidator.MAX_PER_PAGE + 1);
+    expect(formValidator.isValidPerPage(perPage)).toBe(false);
+  });
+});
+
+describe('hasValidPaginationParams(page, perPage)', () => {
+  test('should return true when both params are omitted', () => {
+    expect(formValidator.hasValidPaginationParams(undefined, undefined)).toBe(
+      true
+    );
+  });
+
+  test('should return false for an invalid page', () => {
+    expect(formValidator.hasValidPaginationParams('abc', '20')).toBe(false);
+  });
+});
+
+describe('isValidZipLimit(value, max)', () => {
+  test('should return true for a limit under the max', () => {
+    expect(formValidator.isValidZipLimit(10, 50)).toBe(true);
+  });
+
+  test('should return false above the max', () => {
+    expect(formValidator.isValidZipLimit(51, 50)).toBe(false);
+  });
+});
+
+describe('isValidPhotoLinkList(value, max)', () => {
+  test('should return true for a list of links', () => {
+    const links = ['http://www.flickr.com/photos/a/1/'];
+    expect(formValidator.isValidPhotoLinkList(links, 50)).toBe(true);
+  });
+
+  test('should return false for an empty list', () => {
+    expect(formValidator.isValidPhotoLinkList([], 50)).toBe(false);
+  });
+
+  test('should return false for a list longer than the max', () => {
+    const links = ['a', 'b', 'c'];
+    expect(formValidator.isValidPhotoLinkList(links, 2)).toBe(false);
+  });
+
+  test('should return false for a string', () => {
+    expect(formValidator.isValidPhotoLinkList('a', 50)).toBe(false);
+  });
+});
+
+describe('isValidPhotoSize(value)', () => {
+  test('should return true for the large size "b"', () => {
+    expect(formValidator.isValidPhotoSize('b')).toBe(true);
+  });
+
+  test('should return false for an unknown size', () => {
+    expect(formValidator.isValidPhotoSize('xl')).toBe(false);
+  });
+});
+
+describe('isValidArchiveFormat(value)', () => {
+  test('should return true for "tar.gz"', () => {
+    expect(formValidator.isValidArchiveFormat('tar.gz')).toBe(true);
+  });
+
+  test('should return false for "rar"', () => {
+    expect(formValidator.isValidArchiveFormat('rar')).toBe(false);
+  });
+});
+
+describe('isValidZipLabel(value)', () => {
+  test('should return true for a label or null', () => {
+    expect(formValidator.isValidZipLabel('Holidays 2025')).toBe(true);
+    expect(formValidator.isValidZipLabel(null)).toBe(true);
+  });
+
+  test('should return false for a blank or too long label', () => {
+    expect(formValidator.isValidZipLabel('  ')).toBe(false);
+    expect(formValidator.isValidZipLabel('a'.repeat(101))).toBe(false);
+  });
+});
+
+describe('isValidZipIdList(value, max)', () => {
+  test('should return true for a list of ids', () => {
+    expect(formValidator.isValidZipIdList(['photos-dogs-1'], 100)).toBe(true);
+  });
+
+  test('should return false for an empty list', () => {
+    expect(formValidator.isValidZipIdList([], 100)).toBe(false);
+  });
 });
@@ -0,0 +1,100 @@
+const jobStore = require('../../app/job_store');
+
+describe('createJob(jobId, fields)', () => {
+  test('should create a queued job with a timestamp', () => {
+    const jobId = jobStore.generateJobId();
+
+    return jobStore
+      .createJob(jobId, { tags: 'california', prenom: 'Marie' })
+      .then(() => jobStore.getJob(jobId))
+      .then(job => {
+        expect(job).toMatchObject({
+          id: jobId,
+          status: 'queued',
+          tags: 'california',
+          prenom: 'Marie',
+          photosFound: 0
+        });
+        // null fields are not stored, as in Firebase
+        expect(job).not.toHaveProperty('error');
+        expect(job.timestamps.queued).toEqual(job.createdAt);
+      });
+  });
+});
+
+describe('setJobStatus(jobId, status, fields)', () => {
+  test('should record each status with its own timestamp', () => {
+    const jobId = jobStore.generateJobId();
+
+    return jobStore
+      .createJob(jobId, { tags: 'california' })
+      .then(() => jobStore.setJobStatus(jobId, 'fetching'))
+      .then(() => jobStore.setJobStatus(jobId, 'failed', { error: 'boom' }))
+      .then(() => jobStore.getJob(jobId))
+      .then(job => {
+        expect(job.status).toBe('failed');
+        expect(job.error).toBe('boom');
+        expect(Object.keys(job.timestamps)).toEqual([
+          'queued',
+          'fetching',
+          'failed'
+        ]);
+      });
+  });
+
+  test('should reject an unknown status', () => {
+    return expect(
+      jobStore.setJobStatus(jobStore.generateJobId(), 'exploded')
+    ).rejects.toThrow(/Unknown job status/);
+  });
+});
+
+describe('isValidJobId(jobId)', () => {
+  test('should return true for a generated job ID', () => {
+    expect(jobStore.isValidJobId(jobStore.generateJobId())).toBe(true);
+  });
+
+  test('should return false for a Firebase path', () => {
+    expect(jobStore.isValidJobId('../prenom')).toBe(false);
+  });
+});
+
+describe('onJobEvent(jobId, listener)', () => {
+  test('should pass on the events of a worker in this process', () => {
+    const jobId = jobStore.generateJobId();
+    const listener = jest.fn();
+    const unsubscribe = jobStore.onJobEvent(jobId, listener);
+
+    jobStore.emitJobEvent(jobId, 'progress', { added: 1 });
+    unsubscribe();
+    jobStore.emitJobEvent(jobId, 'progress', { added: 2 });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ type: 'progress', data: { added: 1 } });
+  });
+
+  test('should pass on changes of the Firebase job record, whichever instance made them', () => {
+    const ref = { on: jest.fn(), off: jest.fn() };
+    const db = { ref: jest.fn(() => ref) };
+    const listener = jest.fn();
+
+    jest.isolateModules(() => {
+      jest.doMock('../../app/firebase', () => ({ db }));
+      const store = require('../../app/job_store');
+      const unsubscribe = store.onJobEvent('job-1', listener);
+
+      const onValue = ref.on.mock.calls[0][1];
+      onValue({ exists: () => true, val: () => ({ id: 'job-1', status: 'done', signedUrl: 'url' }) });
+      unsubscribe();
+
+      expect(db.ref).toHaveBeenCalledWith('jobs/job-1');
+      expect(ref.on.mock.calls[0][0]).toBe('value');
+      expect(ref.off).toHaveBeenCalledWith('value', onValue);
+    });
+
+    expect(listener).toHaveBeenCalledWith({
+      type: 'status',
+      data: { id: 'job-1', status: 'done', signedUrl: 'url' }
+    });
+  });
+});
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const QUEUE_ENV = {
+  QUEUE_BACKEND: 'memory',
+  QUEUE_REDELIVERY_DELAY_MS: '5',
+  MAX_DELIVERY_ATTEMPTS: '3',
+  TOPIC_NAME: 'zip-requests',
+  SUBSCRIPTION_NAME: 'zip-requests-sub'
+};
+
+let listenForMessage;
+let jobStore;
+let deadLetters;
+let queue;
+let zipCache;
+let firebase;
+
+beforeAll(() => {
+  Object.assign(process.env, QUEUE_ENV);
+});
+
+afterAll(() => {
+  Object.keys(QUEUE_ENV).forEach(name => delete process.env[name]);
+});
+
+beforeEach(() => {
+  jest.resetModules();
+  jest.doMock('../../app/redis_client', () => {
+    return { redisClient: {}, isRedisConnected: () => false };
+  });
+  jest.doMock('../../app/photo_model');
+  // every delivery fails once the worker starts building the archive
+  jest.doMock('../../app/archive_writer', () => {
+    return {
+      createArchiveWriter: () => {
+        throw new Error('Archive writer unavailable');
+      }
+    };
+  });
+
+  queue = require('../../app/queue');
+  jobStore = require('../../app/job_store');
+  deadLetters = require('../../app/dead_letters');
+  zipCache = require('../../app/zip_cache');
+  firebase = require('../../app/firebase');
+  listenForMessage = require('../../app/listenForMessage');
+});
+
+// Zip data of the user's history, whatever its time slot
+async function getHistory(uid) {
+  const slots = (await firebase.getZipDataByUid(uid)) || {};
+  return Object.keys(slots).reduce((zips, slot) => zips.concat(Object.values(slots[slot])), []);
+}
+
+// Resolves with the events of the job, once it reaches done or failed
+function waitForJobEnd(jobId) {
+  const events = [];
+  return new Promise(resolve => {
+    const unsubscribe = jobStore.onJobEvent(jobId, event => {
+      events.push(event);
+      if (event.type === 'status' && jobStore.isTerminalStatus(event.data.status)) {
+        unsubscribe();
+        resolve(events);
+      }
+    });
+  });
+}
+
+describe('listenForMessages(subscriptionName)', () => {
+  test('should retry a failing zip request, then dead-letter it and fail its job', async () => {
+    const jobId = jobStore.generateJobId();
+    await jobStore.createJob(jobId, { tags: 'dogs', uid: 'uid-1' });
+    const jobEnd = waitForJobEnd(jobId);
+
+    await listenForMessage.listenForMessages(QUEUE_ENV.SUBSCRIPTION_NAME);
+    const messageId = await queue.sendMessage({
+      jobId,
+      tags: 'dogs',
+      uid: 'uid-1',
+      photos: [],
+      idempotencyKey: jobId,
+      requestType: 'zip'
+    });
+
+    const events = await jobEnd;
+    const retries = events.filter(event => event.type === 'retrying');
+    expect(retries.map(event => event.data.attempt)).toEqual([1, 2]);
+    expect(retries[0].data).toMatchObject({ maxAttempts: 3, error: 'Archive writer unavailable' });
+
+    const job = await jobStore.getJob(jobId);
+    expect(job).toMatchObject({
+      status: 'failed',
+      attempts: 3,
+      deadLettered: true,
+      error: 'Gave up after 3 attempts: Archive writer unavailable'
+    });
+
+    const deadLetter = await deadLetters.getDeadLetter(messageId);
+    expect(deadLetter).toMatchObject({ jobId, uid: 'uid-1', attempts: 3, error: 'Archive writer unavailable' });
+  });
+
+  test('should ack a zip request without uid and fail its job right away', async () => {
+    const jobId = jobStore.generateJobId();
+    await jobStore.createJob(jobId, { tags: 'dogs' });
+    const jobEnd = waitForJobEnd(jobId);
+
+    await listenForMessage.listenForMessages(QUEUE_ENV.SUBSCRIPTION_NAME);
+    await queue.sendMessage({ jobId, tags: 'dogs', requestType: 'zip' });
+
+    const events = await jobEnd;
+    expect(events.filter(event => event.type === 'retrying')).toHaveLength(0);
+    expect(await jobStore.getJob(jobId)).toMatchObject({ status: 'failed', error: 'Message does not contain uid' });
+    expect(await deadLetters.listDeadLetters()).toHaveLength(0);
+  });
+
+  test('should complete a job from the zip cache and save it to the history of its users', async () => {
+    const jobId = jobStore.generateJobId();
+    await jobStore.createJob(jobId, { tags: 'dogs', uid: 'uid-1' });
+    await jobStore.updateJob(jobId, { 'subscribers/uid-2': true });
+    await zipCache.setCachedZip('cache-key', {
+      filename: 'photos-dogs.zip',
+      storagePath: 'local://photos-dogs.zip',
+      signedUrl: 'http://localhost/photos-dogs.zip',
+      signedUrlExpiresAt: new Date(Date.now() + 60000).toISOString(),
+      sizeBytes: 100,
+      owners: ['uid-builder']
+    });
+    const jobEnd = waitForJobEnd(jobId);
+
+    await listenForMessage.listenForMessages(QUEUE_ENV.SUBSCRIPTION_NAME);
+    await queue.sendMessage({
+      jobId,
+      tags: 'dogs',
+      uid: 'uid-1',
+      photos: [{ media: { m: 'http://photos/1_m.jpg' } }],
+      size: 'm',
+      cacheKey: 'cache-key',
+      idempotencyKey: jobId,
+      requestType: 'zip'
+    });
+
+    await jobEnd;
+    expect(await jobStore.getJob(jobId)).toMatchObject({ status: 'done', cached: true });
+
+    const [zip] = await getHistory('uid-1');
+    expect(zip).toMatchObject({
+      filename: 'photos-dogs.zip',
+      storagePath: 'local://photos-dogs.zip',
+      photoLinks: ['http://photos/1_m.jpg'],
+      sharedWith: ['uid-builder', 'uid-2']
+    });
+    expect(await getHistory('uid-2')).toEqual([expect.objectContaining({ sharedWith: ['uid-builder', 'uid-1'] })]);
+  });
+
+  test('should keep a cached archive for later users once its builder deletes it', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'listen-for-message-'));
+    Object.assign(process.env, {
+      STORAGE_BACKEND: 'local',
+      LOCAL_STORAGE_DIR: directory,
+      STORAGE_SIGNING_SECRET: 'secret'
+    });
+    const zipHistory = require('../../app/zip_history');
+
+    try {
+      // built for uid-a
+      fs.writeFileSync(path.join(directory, 'photos-cats.zip'), 'zip content');
+      await firebase.saveZipDataToFirebase('uid-a', 'photos-cats.zip', 'url', 'local://photos-cats.zip', [], {
+        cacheKey: 'cats-key'
+      });
+      await zipCache.setCachedZip('cats-key', {
+        filename: 'photos-cats.zip',
+        storagePath: 'local://photos-cats.zip',
+        signedUrl: 'url',
+        signedUrlExpiresAt: new Date(Date.now() + 60000).toISOString(),
+        owners: ['uid-a']
+      });
+
+      // served to uid-b from the cache
+      const jobId = jobStore.generateJobId();
+      await jobStore.createJob(jobId, { tags: 'cats', uid: 'uid-b' });
+      const jobEnd = waitForJobEnd(jobId);
+      await listenForMessage.listenForMessages(QUEUE_ENV.SUBSCRIPTION_NAME);
+      await queue.sendMessage({ jobId, tags: 'cats', uid: 'uid-b', cacheKey: 'cats-key', requestType: 'zip' });
+      await jobEnd;
+
+      expect(await zipCache.getCachedZip('cats-key')).toMatchObject({ owners: ['uid-a', 'uid-b'] });
+      expect(await getHistory('uid-a')).toEqual([expect.objectContaining({ sharedWith: ['uid-b'] })]);
+
+      await zipHistory.deleteZip('uid-a', 'photos-cats');
+
+      expect(fs.existsSync(path.join(directory, 'photos-cats.zip'))).toBe(true);
+      expect(await zipCache.getCachedZip('cats-key')).not.toBeNull();
+      const zip = await firebase.findZipById('uid-b', 'photos-cats');
+      expect(zip.zipData.storagePath).toBe('local://photos-cats.zip');
+    } finally {
+      delete process.env.STORAGE_BACKEND;
+      delete process.env.LOCAL_STORAGE_DIR;
+      delete process.env.STORAGE_SIGNING_SECRET;
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
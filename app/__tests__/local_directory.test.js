@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createLocalDirectorySource
+} = require('../../app/photo_sources/local_directory');
+
+let directory;
+let source;
+
+describe('local directory photo source', () => {
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'local-photos-'));
+    fs.mkdirSync(path.join(directory, 'beach'));
+    fs.writeFileSync(path.join(directory, 'beach', 'sunset-california.jpg'), 'a');
+    fs.writeFileSync(path.join(directory, 'beach', 'surf.png'), 'b');
+    fs.writeFileSync(path.join(directory, 'city-sunset.jpg'), 'c');
+    fs.writeFileSync(path.join(directory, 'sunset-notes.txt'), 'not an image');
+
+    source = createLocalDirectorySource(directory, { author: 'demo' });
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should return normalized photos matching all tags', () => {
+    return source.search('beach, sunset', 'all').then(photos => {
+      expect(photos).toEqual([
+        expect.objectContaining({
+          title: 'sunset-california',
+          link: '/local-photos/beach/sunset-california.jpg',
+          media: {
+            t: '/local-photos/beach/sunset-california.jpg',
+            m: '/local-photos/beach/sunset-california.jpg',
+            b: '/local-photos/beach/sunset-california.jpg'
+          },
+          author: 'demo',
+          source: 'local'
+        })
+      ]);
+    });
+  });
+
+  test('should return photos matching any tag', () => {
+    return source.search('surf, city', 'any').then(photos => {
+      expect(photos.map(photo => photo.title)).toEqual(['surf', 'city-sunset']);
+    });
+  });
+
+  test('should ignore files that are not images', () => {
+    return source.search('notes', 'all').then(photos => {
+      expect(photos).toEqual([]);
+    });
+  });
+
+  test('should open a photo from the directory', done => {
+    source.search('surf', 'all').then(photos => {
+      const chunks = [];
+      source
+        .openPhotoStream(photos[0])
+        .on('data', chunk => chunks.push(chunk))
+        .on('end', () => {
+          expect(Buffer.concat(chunks).toString()).toBe('b');
+          done();
+        });
+    });
+  });
+
+  test('should refuse paths outside the directory', () => {
+    const photo = { media: { m: '/local-photos/..%2F..%2Fetc%2Fpasswd' } };
+    expect(() => source.openPhotoStream(photo)).toThrowError(
+      /outside the local photos directory/
+    );
+  });
+});
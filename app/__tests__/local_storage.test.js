@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const {
+  LOCAL_FILES_ROUTE,
+  createLocalStorage
+} = require('../../app/storage_backends/local');
+
+let directory;
+let storage;
+let app;
+
+function writeFile(key, content) {
+  return new Promise((resolve, reject) => {
+    const stream = storage.createWriteStream(key);
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+    stream.end(content);
+  });
+}
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-'));
+  storage = createLocalStorage({ directory, signingSecret: 'secret' });
+  app = express();
+  app.get(`${LOCAL_FILES_ROUTE}/:key`, storage.downloadHandler);
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('createLocalStorage(options)', () => {
+  test('should list, serve and delete stored files', () => {
+    return writeFile('photos-dogs.zip', 'zip content')
+      .then(() => storage.list('photos-'))
+      .then(files => {
+        expect(files).toEqual([
+          { key: 'photos-dogs.zip', sizeBytes: 11, updatedAt: expect.any(String) }
+        ]);
+        return storage.getDownloadUrl('photos-dogs.zip', 60000);
+      })
+      .then(url => request(app).get(url))
+      .then(res => {
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-disposition']).toMatch(/photos-dogs\.zip/);
+        return storage.delete('photos-dogs.zip');
+      })
+      .then(() => storage.list())
+      .then(files => {
+        expect(files).toEqual([]);
+      });
+  });
+
+  test('should refuse a tampered link', () => {
+    return writeFile('photos-dogs.zip', 'zip content')
+      .then(() => storage.getDownloadUrl('photos-dogs.zip', 60000))
+      .then(url => request(app).get(url.replace(/expires=\d+/, 'expires=9999999999999')))
+      .then(res => {
+        expect(res.statusCode).toBe(403);
+        expect(res.body.error).toBe('Invalid signature');
+      });
+  });
+
+  test('should refuse an expired link', () => {
+    return writeFile('photos-dogs.zip', 'zip content')
+      .then(() => storage.getDownloadUrl('photos-dogs.zip', -1000))
+      .then(url => request(app).get(url))
+      .then(res => {
+        expect(res.statusCode).toBe(403);
+        expect(res.body.error).toBe('Link expired');
+      });
+  });
+
+  test('should reject keys that are paths', () => {
+    expect(() => storage.createWriteStream('../outside.zip')).toThrow(/Invalid storage key/);
+  });
+});
+
+describe('getKeyFromStoragePath(storagePath)', () => {
+  const { getKeyFromStoragePath } = require('../../app/storage');
+
+  test('should read the key of gcs and local storage paths', () => {
+    expect(getKeyFromStoragePath('gs://my-bucket/photos-dogs.zip')).toBe('photos-dogs.zip');
+    expect(getKeyFromStoragePath('local://photos-dogs.zip')).toBe('photos-dogs.zip');
+    expect(getKeyFromStoragePath(undefined)).toBeNull();
+  });
+});
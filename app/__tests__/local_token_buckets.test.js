@@ -0,0 +1,44 @@
+const { createLocalTokenBuckets } = require('../../app/local_token_buckets');
+
+const policy = { capacity: 2, refillRate: 1, cost: 1 };
+const now = Date.parse('2025-10-20T18:30:00.000Z');
+
+describe('createLocalTokenBuckets(options)', () => {
+  test('should refuse requests once the bucket is empty', () => {
+    const buckets = createLocalTokenBuckets();
+
+    expect(buckets.consume('ip:10.0.0.1', policy, now)).toEqual({ allowed: true, tokens: 1 });
+    expect(buckets.consume('ip:10.0.0.1', policy, now)).toEqual({ allowed: true, tokens: 0 });
+    expect(buckets.consume('ip:10.0.0.1', policy, now)).toEqual({ allowed: false, tokens: 0 });
+  });
+
+  test('should refill the bucket over time, up to its capacity', () => {
+    const buckets = createLocalTokenBuckets();
+    buckets.consume('ip:10.0.0.1', policy, now);
+    buckets.consume('ip:10.0.0.1', policy, now);
+
+    expect(buckets.consume('ip:10.0.0.1', policy, now + 1500)).toEqual({ allowed: true, tokens: 0.5 });
+    expect(buckets.consume('ip:10.0.0.1', policy, now + 60000)).toEqual({ allowed: true, tokens: 1 });
+  });
+
+  test('should forget the least recently used bucket beyond maxKeys', () => {
+    const buckets = createLocalTokenBuckets({ maxKeys: 2 });
+    buckets.consume('uid:a', policy, now);
+    buckets.consume('uid:b', policy, now);
+    buckets.consume('uid:a', policy, now);
+    buckets.consume('uid:c', policy, now);
+
+    expect(buckets.size).toBe(2);
+    // uid:b was dropped and starts again from a full bucket, uid:a was kept
+    expect(buckets.consume('uid:b', policy, now).tokens).toBe(1);
+    expect(buckets.consume('uid:c', policy, now).tokens).toBe(0);
+  });
+
+  test('should drop every bucket on clear', () => {
+    const buckets = createLocalTokenBuckets();
+    buckets.consume('uid:a', policy, now);
+    buckets.clear();
+
+    expect(buckets.size).toBe(0);
+  });
+});
@@ -0,0 +1,70 @@
+const { createMemoryDataStore } = require('../../app/data_stores/memory');
+
+describe('createMemoryDataStore()', () => {
+  test('should read and write values by path', async () => {
+    const store = createMemoryDataStore();
+
+    await store.set('jobs/job-1', { status: 'queued', tags: 'dogs' });
+
+    expect(await store.get('jobs/job-1')).toEqual({ status: 'queued', tags: 'dogs' });
+    expect(await store.get('jobs')).toEqual({ 'job-1': { status: 'queued', tags: 'dogs' } });
+    expect(await store.get('jobs/job-2')).toBeNull();
+  });
+
+  test('should hand out copies', async () => {
+    const store = createMemoryDataStore();
+    await store.set('jobs/job-1', { status: 'queued' });
+
+    const job = await store.get('jobs/job-1');
+    job.status = 'done';
+
+    expect(await store.get('jobs/job-1')).toEqual({ status: 'queued' });
+  });
+
+  test('should update children by path and drop null ones', async () => {
+    const store = createMemoryDataStore();
+    await store.set('jobs/job-1', { status: 'queued', error: 'No bucket', timestamps: { queued: 't1' } });
+
+    await store.update('jobs/job-1', { status: 'fetching', error: null, 'timestamps/fetching': 't2' });
+
+    expect(await store.get('jobs/job-1')).toEqual({
+      status: 'fetching',
+      timestamps: { queued: 't1', fetching: 't2' }
+    });
+  });
+
+  test('should remove parents left empty', async () => {
+    const store = createMemoryDataStore();
+    await store.set('quotaUsage/uid-marie/running/job-1', 1);
+
+    await store.remove('quotaUsage/uid-marie/running/job-1');
+
+    expect(await store.get('quotaUsage')).toBeNull();
+  });
+
+  test('should commit a transaction, or abort it when it returns undefined', async () => {
+    const store = createMemoryDataStore();
+    const increment = count => (count >= 2 ? undefined : (count || 0) + 1);
+
+    const results = await Promise.all([1, 2, 3].map(() => store.transaction('count', increment)));
+
+    expect(results.map(result => result.committed)).toEqual([true, true, false]);
+    expect(results[2].value).toBe(2);
+    expect(await store.get('count')).toBe(2);
+  });
+
+  test('should report the current value, then each change, until unwatched', async () => {
+    const store = createMemoryDataStore();
+    const values = [];
+    await store.set('jobs/job-1', { status: 'queued' });
+
+    const unwatch = store.watch('jobs/job-1', value => values.push(value));
+    await new Promise(resolve => setImmediate(resolve));
+    await store.update('jobs/job-1', { status: 'done' });
+    await store.set('jobs/job-2', { status: 'queued' });
+    unwatch();
+    await store.remove('jobs/job-1');
+
+    expect(values).toEqual([{ status: 'queued' }, { status: 'done' }]);
+  });
+});
@@ -0,0 +1,43 @@
+const { createMemoryQueue } = require('../../app/queues/memory');
+
+function nextMessage(queue, topicName, subscriptionName) {
+  return new Promise(resolve => {
+    queue.subscribe(topicName, subscriptionName, resolve);
+  });
+}
+
+describe('createMemoryQueue()', () => {
+  test('should keep messages published before the worker subscribes', () => {
+    const queue = createMemoryQueue();
+
+    return queue
+      .publish('zips', { tags: 'dogs' }, 'worker')
+      .then(messageId => {
+        return nextMessage(queue, 'zips', 'worker').then(message => {
+          expect(message.id).toBe(messageId);
+          expect(JSON.parse(message.data.toString())).toEqual({ tags: 'dogs' });
+          expect(message.deliveryAttempt).toBe(1);
+        });
+      });
+  });
+
+  test('should deliver a nacked message again', () => {
+    const queue = createMemoryQueue({ redeliveryDelayMs: 1 });
+    const deliveries = [];
+
+    return new Promise(resolve => {
+      queue.subscribe('zips', 'worker', message => {
+        deliveries.push(message.deliveryAttempt);
+        if (message.deliveryAttempt < 3) {
+          message.nack();
+        } else {
+          message.ack();
+          resolve();
+        }
+      });
+      queue.publish('zips', { tags: 'cats' }, 'worker');
+    }).then(() => {
+      expect(deliveries).toEqual([1, 2, 3]);
+    });
+  });
+});
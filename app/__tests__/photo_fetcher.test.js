@@ -0,0 +1,191 @@
+const { PassThrough } = require('stream');
+
+let photoFetcher;
+let openStreams;
+let maxOpenStreams;
+
+// photos whose download takes `delay` ms, or never ends when delay is null
+function mockPhoto(title, delay) {
+  return { title, delay, media: { m: `http://example.com/${title}_m.jpg` } };
+}
+
+describe('fetchPhotosInOrder(photos, size, onPhoto, options)', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    openStreams = 0;
+    maxOpenStreams = 0;
+
+    jest.doMock('../../app/photo_model', () => {
+      return {
+        openPhotoStream: jest.fn(photo => {
+          const stream = new PassThrough();
+          openStreams++;
+          maxOpenStreams = Math.max(maxOpenStreams, openStreams);
+          stream.on('close', () => openStreams--);
+
+          if (photo.delay !== null) {
+            setTimeout(() => stream.end(photo.title), photo.delay);
+          }
+          return stream;
+        })
+      };
+    });
+
+    photoFetcher = require('../../app/photo_fetcher');
+  });
+
+  test('should hand photos over in order', () => {
+    const photos = [
+      mockPhoto('slow', 30),
+      mockPhoto('fast', 1),
+      mockPhoto('medium', 10)
+    ];
+    const received = [];
+
+    return photoFetcher
+      .fetchPhotosInOrder(photos, 'm', (photo, buffer, index) => {
+        received.push(`${index}:${buffer.toString()}`);
+      })
+      .then(() => {
+        expect(received).toEqual(['0:slow', '1:fast', '2:medium']);
+      });
+  });
+
+  test('should keep at most `concurrency` downloads in flight', () => {
+    const photos = [1, 2, 3, 4, 5, 6].map(n => mockPhoto(`photo${n}`, 5));
+
+    return photoFetcher
+      .fetchPhotosInOrder(photos, 'm', () => {}, { concurrency: 2 })
+      .then(() => {
+        expect(maxOpenStreams).toBeLessThanOrEqual(2);
+      });
+  });
+
+  test('should skip a photo whose download times out', () => {
+    const photos = [mockPhoto('stuck', null), mockPhoto('fine', 1)];
+    const received = [];
+
+    return photoFetcher
+      .fetchPhotosInOrder(photos, 'm', photo => received.push(photo.title), {
+        timeoutMs: 20,
+        attempts: 1
+      })
+      .then(failures => {
+        expect(received).toEqual(['fine']);
+        expect(failures).toEqual([
+          {
+            index: 0,
+            photo: photos[0],
+            reason: expect.stringMatching(/Timed out after 20ms/)
+          }
+        ]);
+      });
+  });
+
+  test('should stop downloading once its signal is aborted', () => {
+    const photos = [1, 2, 3, 4, 5, 6].map(n => mockPhoto(`photo${n}`, n === 1 ? 1 : null));
+    const controller = new AbortController();
+    const received = [];
+
+    const fetching = photoFetcher.fetchPhotosInOrder(photos, 'm', photo => {
+      received.push(photo.title);
+      controller.abort(new Error('Upload failed'));
+    }, { concurrency: 2, attempts: 1, signal: controller.signal });
+
+    return expect(fetching).rejects.toThrow('Upload failed')
+      // destroyed streams close on the next tick
+      .then(() => new Promise(resolve => setImmediate(resolve)))
+      .then(() => {
+        expect(received).toEqual(['photo1']);
+        // photo3 started before the abort, nothing after it
+        expect(require('../../app/photo_model').openPhotoStream).toHaveBeenCalledTimes(3);
+        expect(openStreams).toBe(0);
+      });
+  });
+});
+
+describe('fetchPhotoWithRetry(photo, size, options)', () => {
+  let responses;
+
+  beforeEach(() => {
+    jest.resetModules();
+
+    // each call plays the next mocked HTTP response
+    jest.doMock('../../app/photo_model', () => {
+      return {
+        openPhotoStream: jest.fn(() => {
+          const { statusCode, contentType, body, headers } = responses.shift();
+          const stream = new PassThrough();
+          setImmediate(() => {
+            stream.emit('response', {
+              statusCode,
+              headers: Object.assign({ 'content-type': contentType }, headers)
+            });
+            stream.end(body);
+          });
+          return stream;
+        })
+      };
+    });
+
+    photoFetcher = require('../../app/photo_fetcher');
+  });
+
+  test('should retry after a server error', () => {
+    responses = [
+      { statusCode: 503, contentType: 'text/html', body: 'busy' },
+      { statusCode: 200, contentType: 'image/jpeg', body: 'jpeg' }
+    ];
+
+    return photoFetcher
+      .fetchPhotoWithRetry(mockPhoto('retry'), 'm', { retryDelayMs: 1 })
+      .then(buffer => {
+        expect(buffer.toString()).toBe('jpeg');
+      });
+  });
+
+  test('should retry a throttled download after its Retry-After delay', () => {
+    responses = [
+      { statusCode: 429, contentType: 'text/html', body: 'slow down', headers: { 'retry-after': '1' } },
+      { statusCode: 200, contentType: 'image/jpeg', body: 'jpeg' }
+    ];
+    const startedAt = Date.now();
+
+    return photoFetcher
+      .fetchPhotoWithRetry(mockPhoto('throttled'), 'm', { retryDelayMs: 1 })
+      .then(buffer => {
+        expect(buffer.toString()).toBe('jpeg');
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(1000);
+      });
+  });
+
+  test('should not retry other client errors', () => {
+    responses = [
+      { statusCode: 404, contentType: 'text/html', body: 'not found' },
+      { statusCode: 200, contentType: 'image/jpeg', body: 'jpeg' }
+    ];
+
+    return expect(
+      photoFetcher.fetchPhotoWithRetry(mockPhoto('missing'), 'm', { retryDelayMs: 1 })
+    ).rejects.toThrow('HTTP 404');
+  });
+
+  test('should not retry a response that is not an image', () => {
+    responses = [
+      { statusCode: 200, contentType: 'text/html', body: '<html>' },
+      { statusCode: 200, contentType: 'image/jpeg', body: 'jpeg' }
+    ];
+
+    return expect(
+      photoFetcher.fetchPhotoWithRetry(mockPhoto('html'), 'm', { retryDelayMs: 1 })
+    ).rejects.toThrow(/Unexpected content type "text\/html"/);
+  });
+
+  test('should reject an image larger than maxBytes', () => {
+    responses = [{ statusCode: 200, contentType: 'image/jpeg', body: 'too big' }];
+
+    return expect(
+      photoFetcher.fetchPhotoWithRetry(mockPhoto('big'), 'm', { maxBytes: 3 })
+    ).rejects.toThrow(/Image too large/);
+  });
+});
@@ -91,3 +91,132 @@ describe('getFlickrPhotos(tags, tagmode, callback)', () => {
     });
   });
 });
+
+// mock a feed returning the same two photos, one of them twice
+function mockFeedWithDuplicates() {
+  jest.doMock('got', () => {
+    return {default: { get: jest.fn(() => {
+      const jsonpData = `jsonFlickrFeed({
+          "items": [
+            {
+              "title": "Boating",
+              "link": "http://www.flickr.com/photos/a/1/",
+              "media": {
+                "m": "http://farm4.staticflickr.com/3727/12608622365_9e9b8b377d_m.jpg"
+              }
+            },
+            {
+              "title": "Signs",
+              "link": "http://www.flickr.com/photos/b/2/",
+              "media": {
+                "m": "http://farm8.staticflickr.com/7446/12608714423_efaf73400c_m.jpg"
+              }
+            },
+            {
+              "title": "Boating",
+              "link": "http://www.flickr.com/photos/a/1/",
+              "media": {
+                "m": "http://farm4.staticflickr.com/3727/12608622365_9e9b8b377d_m.jpg"
+              }
+            }
+          ]
+        })`;
+      return Promise.resolve({
+        body: jsonpData
+      });
+    })}};
+  });
+}
+
+describe('fetchPhotoPage(tags, tagmode, options)', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    mockFeedWithDuplicates();
+    photoModel = require('../../app/photo_model');
+  });
+
+  test('should return the requested page of deduped photos', () => {
+    return photoModel
+      .fetchPhotoPage('california', 'all', { page: 2, perPage: 1 })
+      .then(result => {
+        expect(result.photos.map(photo => photo.title)).toEqual(['Signs']);
+        expect(result.hasPreviousPage).toBe(true);
+        expect(result.hasNextPage).toBe(false);
+      });
+  });
+
+  test('should not fetch again once the feed has no more photos', () => {
+    return photoModel
+      .fetchPhotoPage('california', 'all', { page: 3, perPage: 20 })
+      .then(result => {
+        expect(result.photos).toHaveLength(0);
+        expect(result.hasNextPage).toBe(false);
+        expect(require('got').default.get).toHaveBeenCalledTimes(1);
+      });
+  });
+});
+
+describe('fetchPhotoPage(tags, tagmode, options) with a full feed', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    // the feed returns the same 20 photos on every request
+    const items = Array.from({ length: 20 }, (value, index) => ({
+      title: `Photo ${index}`,
+      link: `http://www.flickr.com/photos/a/${index}/`,
+      media: { m: `http://farm4.staticflickr.com/3727/${index}_m.jpg` }
+    }));
+    jest.doMock('got', () => {
+      return { default: { get: jest.fn(() => Promise.resolve({ body: `jsonFlickrFeed(${JSON.stringify({ items })})` })) } };
+    });
+    photoModel = require('../../app/photo_model');
+  });
+
+  test('should stop fetching once the feed returns nothing new', () => {
+    return photoModel
+      .fetchPhotoPage('california', 'all', { page: 3, perPage: 20 })
+      .then(result => {
+        expect(result.photos).toHaveLength(0);
+        expect(result.hasNextPage).toBe(false);
+        expect(require('got').default.get).toHaveBeenCalledTimes(2);
+      });
+  });
+
+  test('should fetch at most 5 tags on their own for an "any" search', () => {
+    return photoModel
+      .fetchPhotoPage('a,b,c,d,e,f,g,h', 'any', { page: 1, perPage: 30 })
+      .then(() => {
+        const urls = require('got').default.get.mock.calls.map(call => call[0]);
+        // the search itself, then one feed per tag
+        expect(urls[0]).toMatch(/tags=a%2Cb%2Cc/);
+        expect(urls.slice(1, 6).map(url => url.match(/tags=(\w+)&/)[1])).toEqual(['a', 'b', 'c', 'd', 'e']);
+        // two rounds of 6 requests: the second one finds nothing new
+        expect(urls).toHaveLength(12);
+      });
+  });
+});
+
+describe('findPhotosByLink(tags, tagmode, links, options)', () => {
+  beforeEach(() => {
+    jest.resetModules();
+    mockFeedWithDuplicates();
+    photoModel = require('../../app/photo_model');
+  });
+
+  test('should return the photos in the order of the links', () => {
+    const links = [
+      'http://www.flickr.com/photos/b/2/',
+      'http://www.flickr.com/photos/gone/3/',
+      'http://www.flickr.com/photos/a/1/'
+    ];
+
+    return photoModel
+      .findPhotosByLink('california', 'all', links)
+      .then(result => {
+        expect(result.photos.map(photo => photo.title)).toEqual([
+          'Signs',
+          'Boating'
+        ]);
+        expect(result.missing).toEqual(['http://www.flickr.com/photos/gone/3/']);
+      });
+  });
+});
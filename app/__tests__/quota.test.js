@@ -0,0 +1,97 @@
+const now = Date.parse('2025-10-20T18:30:00.000Z');
+const policy = { jobsPerDay: 2, concurrentJobs: 1, storedBytes: 1000 };
+
+let quota;
+let firebase;
+
+beforeEach(() => {
+  jest.resetModules();
+
+  quota = require('../../app/quota');
+  firebase = require('../../app/firebase');
+});
+
+describe('getQuotaUsage(uid, options)', () => {
+  test('should report the remaining allowance and the daily reset', () => {
+    return quota.getQuotaUsage('uid-new', { policy, now }).then(usage => {
+      expect(usage).toEqual({
+        jobsPerDay: { limit: 2, used: 0, remaining: 2, resetsAt: '2025-10-21T00:00:00.000Z' },
+        concurrentJobs: { limit: 1, used: 0, remaining: 1, resetsAt: null },
+        storedBytes: { limit: 1000, used: 0, remaining: 1000, resetsAt: null }
+      });
+    });
+  });
+
+  test('should add up the stored archives', () => {
+    return firebase
+      .saveZipDataToFirebase('uid-bytes', 'photos-a-1.zip', 'url', 'local://photos-a-1.zip', [], { sizeBytes: 600 })
+      .then(() => quota.getQuotaUsage('uid-bytes', { policy, now }))
+      .then(usage => {
+        expect(usage.storedBytes).toMatchObject({ used: 600, remaining: 400 });
+      });
+  });
+});
+
+describe('reserveJobSlot(uid, jobId, options)', () => {
+  test('should refuse a job once the daily quota is used', async () => {
+    await quota.reserveJobSlot('uid-daily', 'job-1', { policy, now });
+    await quota.releaseJobSlot('uid-daily', 'job-1');
+    await quota.reserveJobSlot('uid-daily', 'job-2', { policy, now });
+    await quota.releaseJobSlot('uid-daily', 'job-2');
+
+    const result = await quota.reserveJobSlot('uid-daily', 'job-3', { policy, now });
+    expect(result.allowed).toBe(false);
+    expect(result.exceeded).toBe('jobsPerDay');
+    expect(result.usage.jobsPerDay).toMatchObject({ used: 2, remaining: 0 });
+  });
+
+  test('should count the jobs of the previous day separately', async () => {
+    const yesterday = now - 24 * 60 * 60 * 1000;
+    const bigPolicy = Object.assign({}, policy, { concurrentJobs: 5 });
+    await quota.reserveJobSlot('uid-yesterday', 'job-1', { policy: bigPolicy, now: yesterday });
+    await quota.reserveJobSlot('uid-yesterday', 'job-2', { policy: bigPolicy, now: yesterday });
+
+    const result = await quota.reserveJobSlot('uid-yesterday', 'job-3', { policy: bigPolicy, now });
+    expect(result.allowed).toBe(true);
+  });
+
+  test('should refuse a job while another one is running', async () => {
+    await quota.reserveJobSlot('uid-busy', 'job-1', { policy, now });
+
+    const busy = await quota.reserveJobSlot('uid-busy', 'job-2', { policy, now });
+    expect(busy.exceeded).toBe('concurrentJobs');
+    // the refused job does not count against the day
+    expect(busy.usage.jobsPerDay.used).toBe(1);
+
+    await quota.releaseJobSlot('uid-busy', 'job-1');
+    const result = await quota.reserveJobSlot('uid-busy', 'job-2', { policy, now });
+    expect(result.allowed).toBe(true);
+  });
+
+  test('should forget running jobs that never finished', async () => {
+    await quota.reserveJobSlot('uid-lost', 'job-1', { policy, now });
+
+    const later = now + 2 * 60 * 60 * 1000;
+    const result = await quota.reserveJobSlot('uid-lost', 'job-2', { policy, now: later });
+    expect(result.allowed).toBe(true);
+  });
+
+  test('should only let one of parallel requests take the last slot', async () => {
+    const results = await Promise.all(
+      ['job-1', 'job-2', 'job-3', 'job-4'].map(jobId => quota.reserveJobSlot('uid-parallel', jobId, { policy, now }))
+    );
+
+    expect(results.filter(result => result.allowed)).toHaveLength(1);
+  });
+});
+
+describe('releaseJobSlot(uid, jobId, options)', () => {
+  test('should give the daily job back with refund', async () => {
+    await quota.reserveJobSlot('uid-refund', 'job-1', { policy, now });
+    await quota.releaseJobSlot('uid-refund', 'job-1', { refund: true, now });
+
+    const usage = await quota.getQuotaUsage('uid-refund', { policy, now });
+    expect(usage.jobsPerDay.used).toBe(0);
+    expect(usage.concurrentJobs.used).toBe(0);
+  });
+});
@@ -0,0 +1,482 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { lua, lauxlib, lualib, to_luastring } = require('fengari');
+
+let rateLimiter;
+let buckets;
+let redisUp;
+
+// Next turn of the event loop, like a round trip to Redis
+function roundTrip(value) {
+  return new Promise(resolve => setImmediate(() => resolve(value)));
+}
+
+// Lua runtime for the scripts of the rate limiter, with the parts of the
+// Redis API they use: redis.call GET / SET on `buckets`, cjson, and Redis'
+// conversion of the reply (numbers truncated to integers)
+function runRedisScript(script, { keys, arguments: args }) {
+  const L = lauxlib.luaL_newstate();
+  lualib.luaL_openlibs(L);
+
+  const setStringArray = (name, values) => {
+    lua.lua_createtable(L, values.length, 0);
+    values.forEach((value, i) => {
+      lua.lua_pushstring(L, to_luastring(value));
+      lua.lua_rawseti(L, -2, i + 1);
+    });
+    lua.lua_setglobal(L, to_luastring(name));
+  };
+  const setFunctions = (name, functions) => {
+    lua.lua_newtable(L);
+    Object.keys(functions).forEach(field => {
+      lua.lua_pushjsfunction(L, functions[field]);
+      lua.lua_setfield(L, -2, to_luastring(field));
+    });
+    lua.lua_setglobal(L, to_luastring(name));
+  };
+
+  setStringArray('KEYS', keys);
+  setStringArray('ARGV', args);
+  setFunctions('redis', {
+    call: () => {
+      const command = lua.lua_tojsstring(L, 1).toUpperCase();
+      const key = lua.lua_tojsstring(L, 2);
+      if (command === 'GET') {
+        // a missing key is false in Lua
+        if (buckets.has(key)) {
+          lua.lua_pushstring(L, to_luastring(buckets.get(key)));
+        } else {
+          lua.lua_pushboolean(L, false);
+        }
+      } else if (command === 'SET') {
+        buckets.set(key, lua.lua_tojsstring(L, 3));
+        lua.lua_pushstring(L, to_luastring('OK'));
+      } else {
+        throw new Error(`Unexpected Redis command: ${command}`);
+      }
+      return 1;
+    }
+  });
+  // flat objects of numbers are all the scripts store
+  setFunctions('cjson', {
+    decode: () => {
+      const value = JSON.parse(lua.lua_tojsstring(L, 1));
+      lua.lua_newtable(L);
+      Object.keys(value).forEach(field => {
+        lua.lua_pushnumber(L, value[field]);
+        lua.lua_setfield(L, -2, to_luastring(field));
+      });
+      return 1;
+    },
+    encode: () => {
+      const value = {};
+      lua.lua_pushnil(L);
+      while (lua.lua_next(L, 1)) {
+        value[lua.lua_tojsstring(L, -2)] = lua.lua_tonumber(L, -1);
+        lua.lua_pop(L, 1);
+      }
+      lua.lua_pushstring(L, to_luastring(JSON.stringify(value)));
+      return 1;
+    }
+  });
+
+  if (lauxlib.luaL_dostring(L, to_luastring(script)) !== lua.LUA_OK) {
+    throw new Error(lua.lua_tojsstring(L, -1));
+  }
+
+  const reply = [];
+  for (let i = 1; i <= lua.lua_rawlen(L, -1); i++) {
+    lua.lua_rawgeti(L, -1, i);
+    reply.push(lua.lua_type(L, -1) === lua.LUA_TNUMBER ? Math.trunc(lua.lua_tonumber(L, -1)) : lua.lua_tojsstring(L, -1));
+    lua.lua_pop(L, 1);
+  }
+  return reply;
+}
+
+// Redis running the token bucket script: like the real server, one script
+// runs at a time, between two round trips
+function evalScript(script, options) {
+  return roundTrip(null).then(() => roundTrip(runRedisScript(script, options)));
+}
+
+function mockRedis() {
+  buckets = new Map();
+  redisUp = true;
+  jest.doMock('../../app/redis_client', () => {
+    return {
+      redisClient: {
+        get: key => roundTrip(buckets.has(key) ? buckets.get(key) : null),
+        eval: jest.fn(evalScript)
+      },
+      isRedisConnected: () => redisUp
+    };
+  });
+}
+
+function mockRequest(options = {}) {
+  return {
+    method: 'POST',
+    path: '/zip',
+    originalUrl: '/zip',
+    headers: {},
+    socket: { remoteAddress: options.ip || '10.0.0.1' },
+    user: options.uid ? { uid: options.uid } : undefined
+  };
+}
+
+function mockResponse() {
+  const res = { headers: {} };
+  res.set = jest.fn((name, value) => {
+    Object.assign(res.headers, typeof name === 'string' ? { [name]: value } : name);
+    return res;
+  });
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+// Runs the limiter, resolves with whether the request went through
+function runLimiter(limiter, req) {
+  const res = mockResponse();
+  let passed = false;
+  return limiter(req, res, () => {
+    passed = true;
+  }).then(() => ({ passed, res }));
+}
+
+beforeEach(() => {
+  jest.resetModules();
+  mockRedis();
+  rateLimiter = require('../../app/rate_limiter');
+});
+
+describe('loadRateLimitConfig(env)', () => {
+  test('should return the default policies', () => {
+    const config = rateLimiter.loadRateLimitConfig({});
+    expect(config.policies.zip).toEqual({ capacity: 10, refillRate: 1, cost: 10 });
+    expect(config.policies.photosApi).toEqual({ capacity: 60, refillRate: 2, cost: 1 });
+    expect(config.allowlist.size).toBe(0);
+  });
+
+  test('should override policy fields from the environment', () => {
+    const config = rateLimiter.loadRateLimitConfig({
+      RATE_LIMIT_ZIP_CAPACITY: '20',
+      RATE_LIMIT_PHOTOS_API_REFILL_RATE: '5',
+      RATE_LIMIT_SEARCH_COST: 'abc'
+    });
+    expect(config.policies.zip.capacity).toBe(20);
+    expect(config.policies.photosApi.refillRate).toBe(5);
+    expect(config.policies.search.cost).toBe(1);
+  });
+
+  test('should read policies and allowlist from the config file', () => {
+    const configPath = path.join(os.tmpdir(), `rate-limit-${process.pid}.js`);
+    fs.writeFileSync(
+      configPath,
+      "module.exports = { policies: { zip: { capacity: 50 }, exports: { capacity: 5, refillRate: 1, cost: 1 } }, allowlist: ['10.0.0.9'] };"
+    );
+
+    try {
+      const config = rateLimiter.loadRateLimitConfig({
+        RATE_LIMIT_CONFIG: configPath,
+        RATE_LIMIT_ZIP_COST: '5',
+        RATE_LIMIT_ALLOWLIST: 'uid:ops, 10.0.0.10'
+      });
+      expect(config.policies.zip).toEqual({ capacity: 50, refillRate: 1, cost: 5 });
+      expect(config.policies.exports).toEqual({ capacity: 5, refillRate: 1, cost: 1 });
+      expect(Array.from(config.allowlist)).toEqual(['10.0.0.9', 'uid:ops', '10.0.0.10']);
+    } finally {
+      fs.unlinkSync(configPath);
+    }
+  });
+});
+
+describe('getRequestIdentity(req)', () => {
+  test('should key signed-in requests on the uid', () => {
+    expect(rateLimiter.getRequestIdentity(mockRequest({ uid: 'uid-1' }))).toBe('uid:uid-1');
+  });
+
+  test('should key anonymous requests on the IP', () => {
+    expect(rateLimiter.getRequestIdentity(mockRequest({ ip: '10.0.0.2' }))).toBe('ip:10.0.0.2');
+  });
+
+  test('should ignore X-Forwarded-For from an untrusted peer', () => {
+    const req = mockRequest({ ip: '10.0.0.2' });
+    req.headers['x-forwarded-for'] = '198.51.100.1';
+    expect(rateLimiter.getRequestIdentity(req)).toBe('ip:10.0.0.2');
+  });
+
+  test('should group IPv6 clients by subnet when configured', () => {
+    process.env.RATE_LIMIT_IPV6_PREFIX = '64';
+    jest.resetModules();
+    rateLimiter = require('../../app/rate_limiter');
+    delete process.env.RATE_LIMIT_IPV6_PREFIX;
+
+    const req = mockRequest({ ip: '2001:db8:1:2:aaaa:bbbb:cccc:dddd' });
+    expect(rateLimiter.getRequestIdentity(req)).toBe('ip:2001:db8:1:2::/64');
+  });
+});
+
+describe('createRateLimiter(options)', () => {
+  const policy = { name: 'test', capacity: 2, refillRate: 0.001, cost: 1 };
+
+  test('should refuse requests once the bucket is empty', async () => {
+    const limiter = rateLimiter.createRateLimiter(policy);
+    const req = mockRequest({ uid: 'uid-1' });
+
+    expect((await runLimiter(limiter, req)).passed).toBe(true);
+    expect((await runLimiter(limiter, req)).passed).toBe(true);
+
+    const { passed, res } = await runLimiter(limiter, req);
+    expect(passed).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(buckets.has('rate_limit:test:uid:uid-1')).toBe(true);
+  });
+
+  test('should refill and consume in a single Redis script', async () => {
+    const limiter = rateLimiter.createRateLimiter(policy);
+    await runLimiter(limiter, mockRequest({ uid: 'uid-1' }));
+
+    const redisClient = require('../../app/redis_client').redisClient;
+    expect(redisClient.eval).toHaveBeenCalledTimes(1);
+    expect(redisClient.eval.mock.calls[0][0]).toMatch(/redis\.call\('SET'/);
+    expect(redisClient.eval.mock.calls[0][1]).toMatchObject({
+      keys: ['rate_limit:test:uid:uid-1'],
+      arguments: ['2', '0.001', '1', expect.any(String), '3600']
+    });
+  });
+
+  test('should send the RateLimit headers, counted in requests', async () => {
+    const limiter = rateLimiter.createRateLimiter({ name: 'test', capacity: 10, refillRate: 1, cost: 5 });
+    const { passed, res } = await runLimiter(limiter, mockRequest({ uid: 'uid-1' }));
+
+    expect(passed).toBe(true);
+    expect(res.headers).toEqual({
+      'RateLimit-Limit': '2',
+      'RateLimit-Remaining': '1',
+      'RateLimit-Reset': '5'
+    });
+  });
+
+  test('should answer a denial with Retry-After and a problem document', async () => {
+    const limiter = rateLimiter.createRateLimiter({ name: 'test', capacity: 10, refillRate: 2, cost: 10 });
+    await runLimiter(limiter, mockRequest({ uid: 'uid-1' }));
+    const { passed, res } = await runLimiter(limiter, mockRequest({ uid: 'uid-1' }));
+
+    expect(passed).toBe(false);
+    expect(res.headers).toMatchObject({
+      'RateLimit-Limit': '1',
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': '5',
+      'Retry-After': '5',
+      'Content-Type': 'application/problem+json'
+    });
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json).toHaveBeenCalledWith({
+      type: 'about:blank',
+      title: 'Too Many Requests',
+      status: 429,
+      detail: 'Rate limit exceeded. Please wait 5 second(s) before trying again.',
+      instance: '/zip',
+      retryAfter: 5,
+      policy: 'test'
+    });
+  });
+
+  test('should keep one bucket per user and per policy', async () => {
+    const limiter = rateLimiter.createRateLimiter(Object.assign({}, policy, { capacity: 1 }));
+    const otherLimiter = rateLimiter.createRateLimiter(Object.assign({}, policy, { name: 'other', capacity: 1 }));
+
+    expect((await runLimiter(limiter, mockRequest({ uid: 'uid-1' }))).passed).toBe(true);
+    expect((await runLimiter(limiter, mockRequest({ uid: 'uid-2' }))).passed).toBe(true);
+    expect((await runLimiter(otherLimiter, mockRequest({ uid: 'uid-1' }))).passed).toBe(true);
+    expect((await runLimiter(limiter, mockRequest({ uid: 'uid-1' }))).passed).toBe(false);
+  });
+
+  test('should never limit allowlisted IPs and users', async () => {
+    const limiter = rateLimiter.createRateLimiter(
+      Object.assign({}, policy, { capacity: 1, allowlist: new Set(['10.0.0.9', 'uid:ops']) })
+    );
+
+    for (let i = 0; i < 3; i++) {
+      expect((await runLimiter(limiter, mockRequest({ ip: '10.0.0.9' }))).passed).toBe(true);
+      expect((await runLimiter(limiter, mockRequest({ uid: 'ops' }))).passed).toBe(true);
+      expect((await runLimiter(limiter, mockRequest({ uid: 'uid-3', ip: '10.0.0.9' }))).passed).toBe(true);
+    }
+    expect(buckets.size).toBe(0);
+  });
+});
+
+describe('while Redis is down', () => {
+  const policy = { name: 'test', capacity: 2, refillRate: 0.001, cost: 1 };
+
+  test('should keep limiting with in-memory buckets', async () => {
+    redisUp = false;
+    const limiter = rateLimiter.createRateLimiter(policy);
+    const req = mockRequest({ uid: 'uid-1' });
+
+    expect((await runLimiter(limiter, req)).passed).toBe(true);
+    expect((await runLimiter(limiter, req)).passed).toBe(true);
+    const { passed, res } = await runLimiter(limiter, req);
+
+    expect(passed).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.headers['RateLimit-Remaining']).toBe('0');
+    expect(buckets.size).toBe(0);
+    expect(rateLimiter.getRateLimiterStatus()).toEqual({ mode: 'memory', localBuckets: 1 });
+  });
+
+  test('should go back to Redis buckets on reconnect', async () => {
+    redisUp = false;
+    const limiter = rateLimiter.createRateLimiter(policy);
+    const req = mockRequest({ uid: 'uid-1' });
+    await runLimiter(limiter, req);
+    await runLimiter(limiter, req);
+
+    redisUp = true;
+    expect((await runLimiter(limiter, req)).passed).toBe(true);
+    expect(buckets.has('rate_limit:test:uid:uid-1')).toBe(true);
+    expect(rateLimiter.getRateLimiterStatus()).toEqual({ mode: 'redis', localBuckets: 0 });
+  });
+
+  test('should use the in-memory bucket when the script fails', async () => {
+    const redisClient = require('../../app/redis_client').redisClient;
+    redisClient.eval.mockImplementation(() => Promise.reject(new Error('NOSCRIPT')));
+
+    const limiter = rateLimiter.createRateLimiter(Object.assign({}, policy, { capacity: 1 }));
+    expect((await runLimiter(limiter, mockRequest({ uid: 'uid-1' }))).passed).toBe(true);
+    expect((await runLimiter(limiter, mockRequest({ uid: 'uid-1' }))).passed).toBe(false);
+  });
+});
+
+describe('the Redis script and the in-memory buckets', () => {
+  test('should give the same results', async () => {
+    const limiter = rateLimiter.createRateLimiter({ name: 'test', capacity: 3, refillRate: 0.5, cost: 1 });
+    // ms since the first request, clock going back once
+    const times = [0, 0, 0, 0, 1000, 1500, 1200, 4000, 4000, 4000, 60000];
+    const run = async uid => {
+      const results = [];
+      for (const time of times) {
+        jest.spyOn(Date, 'now').mockReturnValue(1700000000000 + time);
+        const { passed, res } = await runLimiter(limiter, mockRequest({ uid }));
+        results.push([passed, res.headers['RateLimit-Remaining'], res.headers['RateLimit-Reset']]);
+      }
+      Date.now.mockRestore();
+      return results;
+    };
+
+    const inRedis = await run('uid-redis');
+    redisUp = false;
+    const inMemory = await run('uid-memory');
+
+    expect(buckets.has('rate_limit:test:uid:uid-redis')).toBe(true);
+    expect(inMemory).toEqual(inRedis);
+    expect(inRedis.map(([passed]) => passed)).toEqual([true, true, true, false, false, false, false, true, true, false, true]);
+  });
+});
+
+describe('createPolicyRateLimiter(policyName)', () => {
+  test('should throw for an unknown policy', () => {
+    expect(() => rateLimiter.createPolicyRateLimiter('unknown')).toThrow('Unknown rate limit policy: unknown');
+  });
+});
+
+describe('POST /zip under concurrent requests', () => {
+  const express = require('express');
+  const request = require('supertest');
+
+  let app;
+  let verifiedTokens;
+
+  beforeEach(() => {
+    verifiedTokens = 0;
+    // 3 archives in a full bucket, none refilled during the test
+    process.env.RATE_LIMIT_ZIP_CAPACITY = '30';
+    process.env.RATE_LIMIT_ZIP_REFILL_RATE = '0.001';
+    process.env.RATE_LIMIT_AUTH_CAPACITY = '20';
+    process.env.RATE_LIMIT_AUTH_REFILL_RATE = '0.001';
+    // the policies are read when the limiter is loaded
+    jest.resetModules();
+    jest.doMock('../../app/photo_model');
+    jest.doMock('../../app/auth_middleware', () => {
+      return {
+        requireAuth: (req, res, next) => {
+          verifiedTokens++;
+          if (!req.headers['x-test-uid']) {
+            return res.status(401).json({ error: 'Authentication required' });
+          }
+          req.user = { uid: req.headers['x-test-uid'] };
+          next();
+        },
+        requireAuthOrQueryToken: (req, res, next) => next()
+      };
+    });
+
+    app = express();
+    app.use(express.json());
+    require('../../app/route')(app);
+  });
+
+  afterEach(() => {
+    delete process.env.RATE_LIMIT_ZIP_CAPACITY;
+    delete process.env.RATE_LIMIT_ZIP_REFILL_RATE;
+    delete process.env.RATE_LIMIT_AUTH_CAPACITY;
+    delete process.env.RATE_LIMIT_AUTH_REFILL_RATE;
+  });
+
+  // Requests pass the limiter and stop at validation (no tags): 400
+  function postZip(uid) {
+    return request(app).post('/zip').set('x-test-uid', uid).send({});
+  }
+
+  test('should only let the bucket capacity through', async () => {
+    const responses = await Promise.all(Array.from({ length: 10 }, () => postZip('uid-burst')));
+    const statuses = responses.map(response => response.status);
+
+    expect(statuses.filter(status => status === 400)).toHaveLength(3);
+    expect(statuses.filter(status => status === 429)).toHaveLength(7);
+  });
+
+  test('should send the limit headers and a problem+json denial', async () => {
+    const responses = await Promise.all([postZip('uid-headers'), postZip('uid-headers'), postZip('uid-headers')]);
+    await postZip('uid-headers').then(response => responses.push(response));
+
+    expect(responses[0].headers['ratelimit-limit']).toBe('3');
+    const denied = responses[3];
+    expect(denied.status).toBe(429);
+    expect(denied.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(denied.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(denied.headers['retry-after'])).toBeGreaterThan(0);
+    expect(JSON.parse(denied.text)).toMatchObject({ status: 429, title: 'Too Many Requests', instance: '/zip' });
+  });
+
+  test('should not let one user spend the tokens of another', async () => {
+    const uids = ['uid-a', 'uid-b', 'uid-a', 'uid-b', 'uid-a', 'uid-b', 'uid-a', 'uid-b'];
+    const responses = await Promise.all(uids.map(postZip));
+    const allowedFor = uid => uids.filter((value, i) => value === uid && responses[i].status === 400);
+
+    expect(allowedFor('uid-a')).toHaveLength(3);
+    expect(allowedFor('uid-b')).toHaveLength(3);
+  });
+
+  test('should limit requests without a valid token before verifying it', async () => {
+    const responses = await Promise.all(
+      Array.from({ length: 25 }, () => request(app).post('/zip').send({}))
+    );
+    const statuses = responses.map(response => response.status);
+
+    expect(statuses.filter(status => status === 401)).toHaveLength(20);
+    expect(statuses.filter(status => status === 429)).toHaveLength(5);
+    expect(verifiedTokens).toBe(20);
+  });
+
+  test('should not limit signed-in users together behind one IP', async () => {
+    const statuses = [];
+    for (let i = 0; i < 25; i++) {
+      statuses.push((await postZip(`uid-nat-${i}`)).status);
+    }
+
+    expect(statuses.filter(status => status === 400)).toHaveLength(25);
+  });
+});
@@ -0,0 +1,129 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.parse('2025-10-20T12:00:00.000Z');
+
+let retention;
+let deleteZip;
+
+// zips of one user, created `ageDays` ago
+function mockZips(...zips) {
+  const tree = {};
+  zips.forEach(([id, ageDays, sizeBytes], index) => {
+    tree[`12-00-00-00${index}`] = {
+      [id]: {
+        filename: `${id}.zip`,
+        createdAt: new Date(now - ageDays * DAY_MS).toISOString(),
+        sizeBytes
+      }
+    };
+  });
+  return tree;
+}
+
+beforeEach(() => {
+  jest.resetModules();
+  jest.doMock('../../app/zip_history', () => {
+    return { deleteZip: jest.fn(() => Promise.resolve(true)) };
+  });
+  jest.doMock('../../app/firebase', () => {
+    return {
+      getAllZipData: () =>
+        Promise.resolve({
+          'uid-marie': mockZips(['recent', 1, 100], ['old', 40, 100]),
+          'uid-paul': mockZips(['recent', 2, 100])
+        })
+    };
+  });
+
+  deleteZip = require('../../app/zip_history').deleteZip;
+  retention = require('../../app/retention');
+});
+
+describe('getRetentionPolicy(env)', () => {
+  test('should read the limits, unset meaning no limit', () => {
+    expect(
+      retention.getRetentionPolicy({ RETENTION_MAX_AGE_DAYS: '30', RETENTION_MAX_BYTES_PER_USER: '1000' })
+    ).toEqual({ maxAgeDays: 30, maxArchivesPerUser: 0, maxBytesPerUser: 1000 });
+  });
+});
+
+describe('selectExpiredZips(zips, policy, now)', () => {
+  const noLimit = { maxAgeDays: 0, maxArchivesPerUser: 0, maxBytesPerUser: 0 };
+
+  test('should select archives older than the max age', () => {
+    const zips = mockZips(['a', 1, 10], ['b', 31, 10]);
+    const policy = Object.assign({}, noLimit, { maxAgeDays: 30 });
+
+    expect(retention.selectExpiredZips(zips, policy, now).map(zip => zip.id)).toEqual(['b']);
+  });
+
+  test('should keep only the most recent archives', () => {
+    const zips = mockZips(['a', 3, 10], ['b', 1, 10], ['c', 2, 10]);
+    const policy = Object.assign({}, noLimit, { maxArchivesPerUser: 2 });
+
+    const expired = retention.selectExpiredZips(zips, policy, now);
+    expect(expired.map(zip => zip.id)).toEqual(['a']);
+    expect(expired[0].reason).toBe('more than 2 archives');
+  });
+
+  test('should keep the most recent archives up to the max bytes', () => {
+    const zips = mockZips(['a', 1, 600], ['b', 2, 600], ['c', 3, 300]);
+    const policy = Object.assign({}, noLimit, { maxBytesPerUser: 1000 });
+
+    expect(retention.selectExpiredZips(zips, policy, now).map(zip => zip.id)).toEqual(['b']);
+  });
+
+  test('should select nothing without limits', () => {
+    expect(retention.selectExpiredZips(mockZips(['a', 400, 10]), noLimit, now)).toEqual([]);
+  });
+});
+
+describe('sweepExpiredZips(options)', () => {
+  const policy = { maxAgeDays: 30, maxArchivesPerUser: 0, maxBytesPerUser: 0 };
+
+  test('should delete the expired archives of every user', () => {
+    return retention.sweepExpiredZips({ policy, now }).then(report => {
+      expect(deleteZip).toHaveBeenCalledTimes(1);
+      expect(deleteZip).toHaveBeenCalledWith('uid-marie', 'old');
+      expect(report).toMatchObject({ checked: 2, freedBytes: 100, errors: [] });
+    });
+  });
+
+  test('should skip a sweep while another one runs', async () => {
+    let finishDelete;
+    deleteZip.mockImplementationOnce(() => new Promise(resolve => (finishDelete = resolve)));
+
+    const first = retention.sweepExpiredZips({ policy, now });
+    await new Promise(resolve => setImmediate(resolve));
+    const second = await retention.sweepExpiredZips({ policy, now });
+    expect(second.skipped).toBe(true);
+
+    finishDelete(true);
+    expect((await first).skipped).toBe(false);
+    // the lock is released once the sweep is done
+    expect((await retention.sweepExpiredZips({ policy, now })).skipped).toBe(false);
+  });
+
+  test('should only report in dry-run mode', () => {
+    return retention.sweepExpiredZips({ policy, now, dryRun: true }).then(report => {
+      expect(deleteZip).not.toHaveBeenCalled();
+      expect(report.deleted).toEqual([
+        expect.objectContaining({ uid: 'uid-marie', id: 'old', reason: 'older than 30 days' })
+      ]);
+    });
+  });
+});
+
+describe('startRetentionSweeper(intervalMs, firstSweepDelayMs)', () => {
+  afterEach(() => {
+    delete process.env.RETENTION_MAX_AGE_DAYS;
+  });
+
+  test('should sweep once shortly after startup', async () => {
+    process.env.RETENTION_MAX_AGE_DAYS = '30';
+    const stop = retention.startRetentionSweeper(DAY_MS, 10);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    stop();
+    expect(deleteZip).toHaveBeenCalledWith('uid-marie', 'old');
+  });
+});
@@ -0,0 +1,130 @@
+let zipCache;
+
+beforeEach(() => {
+  jest.resetModules();
+  zipCache = require('../../app/zip_cache');
+});
+
+const request = {
+  tags: 'sunset,california',
+  tagmode: 'all',
+  source: 'flickr',
+  size: 'm',
+  format: 'zip',
+  count: 10
+};
+
+describe('normalizeTags(tags)', () => {
+  test('should ignore order, case, spaces and duplicates', () => {
+    expect(zipCache.normalizeTags('Sunset, california,sunset ,')).toBe('california,sunset');
+  });
+});
+
+describe('buildCacheKey(request)', () => {
+  test('should give equivalent searches the same key', () => {
+    const key = zipCache.buildCacheKey(request);
+
+    expect(zipCache.buildCacheKey(Object.assign({}, request, { tags: 'california, Sunset' }))).toBe(key);
+    expect(key).toMatch(/^[0-9a-f]{40}$/);
+  });
+
+  test('should tell apart size, tagmode and count', () => {
+    const key = zipCache.buildCacheKey(request);
+
+    expect(zipCache.buildCacheKey(Object.assign({}, request, { size: 'b' }))).not.toBe(key);
+    expect(zipCache.buildCacheKey(Object.assign({}, request, { tagmode: 'any' }))).not.toBe(key);
+    expect(zipCache.buildCacheKey(Object.assign({}, request, { count: 20 }))).not.toBe(key);
+  });
+});
+
+describe('setCachedZip(cacheKey, zip)', () => {
+  test('should keep an archive until its link expires', () => {
+    const cacheKey = zipCache.buildCacheKey(request);
+    const zip = {
+      filename: 'photos-sunset-1.zip',
+      signedUrl: 'https://storage.example.com/photos-sunset-1.zip',
+      signedUrlExpiresAt: new Date(Date.now() + 60000).toISOString()
+    };
+
+    return zipCache
+      .setCachedZip(cacheKey, zip)
+      .then(() => zipCache.getCachedZip(cacheKey))
+      .then(entry => {
+        expect(entry).toMatchObject({ filename: 'photos-sunset-1.zip', expiresAt: zip.signedUrlExpiresAt });
+      });
+  });
+
+  test('should not return expired archives', () => {
+    const cacheKey = zipCache.buildCacheKey(request);
+    const zip = {
+      filename: 'photos-sunset-2.zip',
+      signedUrlExpiresAt: new Date(Date.now() - 1000).toISOString()
+    };
+
+    return zipCache
+      .setCachedZip(cacheKey, zip)
+      .then(() => zipCache.getCachedZip(cacheKey))
+      .then(entry => {
+        expect(entry).toBeNull();
+      });
+  });
+});
+
+describe('getCachedZip(cacheKey)', () => {
+  test('should not depend on the Redis connection', () => {
+    let redisUp = true;
+    jest.resetModules();
+    jest.doMock('../../app/redis_client', () => {
+      return { redisClient: {}, isRedisConnected: () => redisUp };
+    });
+    zipCache = require('../../app/zip_cache');
+    const cacheKey = zipCache.buildCacheKey(request);
+    const zip = {
+      filename: 'photos-sunset-3.zip',
+      signedUrlExpiresAt: new Date(Date.now() + 60000).toISOString()
+    };
+
+    return zipCache
+      .setCachedZip(cacheKey, zip)
+      .then(() => {
+        redisUp = false;
+        return zipCache.getCachedZip(cacheKey);
+      })
+      .then(entry => {
+        expect(entry).toMatchObject({ filename: 'photos-sunset-3.zip' });
+      });
+  });
+});
+
+describe('claimInFlightJob(cacheKey, jobId)', () => {
+  test('should hand later callers the job already building the archive', () => {
+    const cacheKey = zipCache.buildCacheKey(request);
+
+    return zipCache
+      .claimInFlightJob(cacheKey, 'job-1')
+      .then(jobId => {
+        expect(jobId).toBe('job-1');
+        return zipCache.claimInFlightJob(cacheKey, 'job-2');
+      })
+      .then(jobId => {
+        expect(jobId).toBe('job-1');
+        return zipCache.releaseInFlightJob(cacheKey, 'job-1');
+      })
+      .then(() => zipCache.claimInFlightJob(cacheKey, 'job-3'))
+      .then(jobId => {
+        expect(jobId).toBe('job-3');
+      });
+  });
+
+  test('should only let the owner release a claim', () => {
+    const cacheKey = zipCache.buildCacheKey(request);
+
+    return zipCache
+      .claimInFlightJob(cacheKey, 'job-1')
+      .then(() => zipCache.releaseInFlightJob(cacheKey, 'job-2'))
+      .then(() => zipCache.claimInFlightJob(cacheKey, 'job-3'))
+      .then(jobId => {
+        expect(jobId).toBe('job-1');
+      });
+  });
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let directory;
+let firebase;
+let zipHistory;
+
+// an archive in local storage, in the history of uid (and sharedWith)
+function createZip(uid, filename, sharedWith = []) {
+  fs.writeFileSync(path.join(directory, filename), 'zip content');
+  return firebase.saveZipDataToFirebase(
+    uid,
+    filename,
+    `/files/${filename}`,
+    `local://${filename}`,
+    ['http://example.com/photo_m.jpg'],
+    { sharedWith }
+  );
+}
+
+beforeEach(() => {
+  jest.resetModules();
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-history-'));
+  process.env.STORAGE_BACKEND = 'local';
+  process.env.LOCAL_STORAGE_DIR = directory;
+  process.env.STORAGE_SIGNING_SECRET = 'secret';
+  jest.doMock('../../app/redis_client', () => {
+    return { redisClient: {}, isRedisConnected: () => false };
+  });
+
+  firebase = require('../../app/firebase');
+  zipHistory = require('../../app/zip_history');
+});
+
+afterEach(() => {
+  delete process.env.STORAGE_BACKEND;
+  delete process.env.LOCAL_STORAGE_DIR;
+  delete process.env.STORAGE_SIGNING_SECRET;
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('deleteZip(uid, zipId)', () => {
+  test('should remove the history entry and the storage object', () => {
+    return createZip('uid-marie', 'photos-dogs-1.zip')
+      .then(() => zipHistory.deleteZip('uid-marie', 'photos-dogs-1'))
+      .then(deleted => {
+        expect(deleted).toBe(true);
+        expect(fs.existsSync(path.join(directory, 'photos-dogs-1.zip'))).toBe(false);
+        return firebase.findZipById('uid-marie', 'photos-dogs-1');
+      })
+      .then(zip => {
+        expect(zip).toBeNull();
+      });
+  });
+
+  test('should keep an archive another user still has', () => {
+    return createZip('uid-marie', 'photos-dogs-2.zip', ['uid-paul'])
+      .then(() => createZip('uid-paul', 'photos-dogs-2.zip', ['uid-marie']))
+      .then(() => zipHistory.deleteZip('uid-marie', 'photos-dogs-2'))
+      .then(() => {
+        expect(fs.existsSync(path.join(directory, 'photos-dogs-2.zip'))).toBe(true);
+        return zipHistory.deleteZip('uid-paul', 'photos-dogs-2');
+      })
+      .then(() => {
+        expect(fs.existsSync(path.join(directory, 'photos-dogs-2.zip'))).toBe(false);
+      });
+  });
+
+  test('should delete an archive its owners delete at the same time', () => {
+    return createZip('uid-marie', 'photos-dogs-5.zip', ['uid-paul'])
+      .then(() => createZip('uid-paul', 'photos-dogs-5.zip', ['uid-marie']))
+      .then(() => {
+        return Promise.all([
+          zipHistory.deleteZip('uid-marie', 'photos-dogs-5'),
+          zipHistory.deleteZip('uid-paul', 'photos-dogs-5')
+        ]);
+      })
+      .then(deleted => {
+        expect(deleted).toEqual([true, true]);
+        expect(fs.existsSync(path.join(directory, 'photos-dogs-5.zip'))).toBe(false);
+      });
+  });
+
+  test('should keep a shared archive saved before entries were counted', () => {
+    return createZip('uid-marie', 'photos-dogs-6.zip', ['uid-paul'])
+      .then(() => createZip('uid-paul', 'photos-dogs-6.zip', ['uid-marie']))
+      .then(() => require('../../app/data_store').getDataStore().remove('zipRefs'))
+      .then(() => zipHistory.deleteZip('uid-marie', 'photos-dogs-6'))
+      .then(() => {
+        expect(fs.existsSync(path.join(directory, 'photos-dogs-6.zip'))).toBe(true);
+        return zipHistory.deleteZip('uid-paul', 'photos-dogs-6');
+      })
+      .then(() => {
+        expect(fs.existsSync(path.join(directory, 'photos-dogs-6.zip'))).toBe(false);
+      });
+  });
+
+  test('should not delete the zip of another user', () => {
+    return createZip('uid-marie', 'photos-dogs-3.zip')
+      .then(() => zipHistory.deleteZip('uid-paul', 'photos-dogs-3'))
+      .then(deleted => {
+        expect(deleted).toBe(false);
+        expect(fs.existsSync(path.join(directory, 'photos-dogs-3.zip'))).toBe(true);
+      });
+  });
+});
+
+describe('setZipLabel(uid, zipId, label)', () => {
+  test('should store the label of the zip', () => {
+    return createZip('uid-marie', 'photos-dogs-4.zip')
+      .then(() => zipHistory.setZipLabel('uid-marie', 'photos-dogs-4', 'Holidays'))
+      .then(zipData => {
+        expect(zipData.label).toBe('Holidays');
+        return firebase.findZipById('uid-marie', 'photos-dogs-4');
+      })
+      .then(zip => {
+        expect(zip.zipData.label).toBe('Holidays');
+      });
+  });
+});
@@ -0,0 +1,106 @@
+const zipManifest = require('../../app/zip_manifest');
+
+const photo = {
+  title: 'Point Lobos, "sunset"',
+  link: 'http://www.flickr.com/photos/nathanleefer/24437997081/',
+  media: {
+    m: 'http://farm2.staticflickr.com/1566/24437997081_a18e803502_m.jpg',
+    b: 'http://farm2.staticflickr.com/1566/24437997081_a18e803502_b.jpg'
+  },
+  date_taken: '2013-09-21T19:02:39-08:00',
+  author: 'nobody@flickr.com ("nathan.leefer")',
+  author_id: '127138564@N02',
+  tags: 'sunset california'
+};
+
+const job = { tags: 'california', source: 'flickr', size: 'b', format: 'zip' };
+
+const entries = [
+  {
+    filename: 'photo-1-Point_Lobos.jpg',
+    photo,
+    bytes: 1024,
+    sha256: 'abc123'
+  }
+];
+
+describe('getAuthorName(author)', () => {
+  test('should extract the name from a flickr author', () => {
+    expect(zipManifest.getAuthorName('nobody@flickr.com ("nathan.leefer")')).toBe(
+      'nathan.leefer'
+    );
+  });
+
+  test('should keep an author without email as is', () => {
+    expect(zipManifest.getAuthorName('local')).toBe('local');
+  });
+});
+
+describe('buildManifest(job, entries)', () => {
+  test('should list every entry with its source metadata', () => {
+    const manifest = zipManifest.buildManifest(job, entries);
+
+    expect(manifest).toMatchObject({
+      tags: 'california',
+      size: 'b',
+      photoCount: 1
+    });
+    expect(manifest.entries[0]).toEqual({
+      filename: 'photo-1-Point_Lobos.jpg',
+      title: 'Point Lobos, "sunset"',
+      author: 'nathan.leefer',
+      author_id: '127138564@N02',
+      link: 'http://www.flickr.com/photos/nathanleefer/24437997081/',
+      media_url: 'http://farm2.staticflickr.com/1566/24437997081_a18e803502_b.jpg',
+      tags: 'sunset california',
+      date_taken: '2013-09-21T19:02:39-08:00',
+      bytes: 1024,
+      sha256: 'abc123'
+    });
+  });
+});
+
+describe('toManifestCsv(manifest)', () => {
+  test('should quote values containing commas and quotes', () => {
+    const csv = zipManifest.toManifestCsv(zipManifest.buildManifest(job, entries));
+    const lines = csv.split('\r\n');
+
+    expect(lines[0]).toBe(
+      'filename,title,author,author_id,link,media_url,tags,date_taken,bytes,sha256,status,error'
+    );
+    expect(lines[1]).toMatch(/^photo-1-Point_Lobos.jpg,"Point Lobos, ""sunset""",nathan.leefer,/);
+  });
+});
+
+describe('buildManifest(job, entries, failures)', () => {
+  test('should list the photos left out of the archive with the reason', () => {
+    const failures = [{ photo, reason: 'HTTP 404' }];
+    const manifest = zipManifest.buildManifest(job, [], failures);
+
+    expect(manifest.failedCount).toBe(1);
+    expect(manifest.failed[0]).toMatchObject({
+      link: 'http://www.flickr.com/photos/nathanleefer/24437997081/',
+      error: 'HTTP 404'
+    });
+  });
+
+  test('should mark failed photos in manifest.csv', () => {
+    const failures = [{ photo, reason: 'HTTP 404' }];
+    const csv = zipManifest.toManifestCsv(zipManifest.buildManifest(job, entries, failures));
+    const lines = csv.trim().split('\r\n');
+
+    expect(lines[1]).toMatch(/,ok,$/);
+    expect(lines[2]).toMatch(/,,,failed,HTTP 404$/);
+  });
+});
+
+describe('toAttributionText(manifest)', () => {
+  test('should credit each photo to its author', () => {
+    const text = zipManifest.toAttributionText(zipManifest.buildManifest(job, entries));
+
+    expect(text).toMatch(/nathan.leefer \(127138564@N02\)/);
+    expect(text).toMatch(
+      /- photo-1-Point_Lobos.jpg: "Point Lobos, "sunset"" http:\/\/www.flickr.com/
+    );
+  });
+});
@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const express = require('express');
+const http = require('http');
+const request = require('supertest');
+
+const ZIP_ENV = {
+  QUEUE_BACKEND: 'memory',
+  QUOTA_JOBS_PER_DAY: '2',
+  QUOTA_CONCURRENT_JOBS: '5',
+  // room for every request of a test: the quotas are what is tested here
+  RATE_LIMIT_ZIP_CAPACITY: '1000',
+  // job event streams re-read the job this often
+  SSE_HEARTBEAT_MS: '50',
+  MAX_JOB_STREAMS_PER_USER: '1'
+};
+
+let app;
+let jobStore;
+
+beforeAll(() => {
+  Object.assign(process.env, ZIP_ENV);
+});
+
+afterAll(() => {
+  Object.keys(ZIP_ENV).forEach(name => delete process.env[name]);
+});
+
+beforeEach(() => {
+  jest.resetModules();
+  jest.doMock('../../app/redis_client', () => {
+    return { redisClient: {}, isRedisConnected: () => false };
+  });
+  jest.doMock('../../app/photo_model');
+  jest.doMock('../../app/auth_middleware', () => {
+    return {
+      requireAuth: (req, res, next) => {
+        req.user = { uid: req.headers['x-test-uid'] };
+        next();
+      },
+      requireAuthOrQueryToken: (req, res, next) => {
+        req.user = { uid: req.headers['x-test-uid'] || req.query.token };
+        next();
+      }
+    };
+  });
+
+  jobStore = require('../../app/job_store');
+  app = express();
+  app.use(express.json());
+  require('../../app/route')(app);
+});
+
+function postZip(uid, body) {
+  return request(app)
+    .post('/zip')
+    .set('x-test-uid', uid)
+    .send(body);
+}
+
+describe('POST /zip', () => {
+  test('should queue a zip job', async () => {
+    const response = await postZip('uid-queue', { tags: 'dogs' });
+
+    expect(response.status).toBe(202);
+    expect(response.body).toMatchObject({ message: 'Zip job queued successfully', photoCount: 1 });
+    expect(await jobStore.getJob(response.body.jobId)).toMatchObject({ status: 'queued', uid: 'uid-queue' });
+  });
+
+  test('should refuse a job over the daily quota', async () => {
+    await postZip('uid-quota', { tags: 'dogs' });
+    await postZip('uid-quota', { tags: 'cats' });
+    const response = await postZip('uid-quota', { tags: 'birds' });
+
+    expect(response.status).toBe(429);
+    expect(response.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(JSON.parse(response.text)).toMatchObject({
+      status: 429,
+      detail: 'Daily zip job quota reached',
+      quota: 'jobsPerDay',
+      limit: 2,
+      used: 2,
+      checkQuotaAt: '/api/me/quota'
+    });
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(JSON.parse(response.text).retryAfter).toBe(Number(response.headers['retry-after']));
+  });
+
+  test('should not keep the job of a request over the quota', async () => {
+    await postZip('uid-denied', { tags: 'dogs' });
+    await postZip('uid-denied', { tags: 'cats' });
+    const jobId = '00000000-0000-4000-8000-000000000000';
+    jest.spyOn(crypto, 'randomUUID').mockReturnValueOnce(jobId);
+
+    const response = await postZip('uid-denied', { tags: 'birds' });
+    expect(response.status).toBe(429);
+    expect(await jobStore.getJob(jobId)).toBeNull();
+  });
+
+  test('should only let the quota through when requests arrive together', async () => {
+    const responses = await Promise.all(
+      ['dogs', 'cats', 'birds', 'fish'].map(tags => postZip('uid-parallel', { tags }))
+    );
+    const statuses = responses.map(response => response.status);
+
+    expect(statuses.filter(status => status === 202)).toHaveLength(2);
+    expect(statuses.filter(status => status === 429)).toHaveLength(2);
+  });
+
+  test('should not count a job whose photos could not be fetched', async () => {
+    const failed = await postZip('uid-refund', { tags: 'error' });
+    expect(failed.status).toBe(502);
+
+    const usage = await request(app)
+      .get('/api/me/quota')
+      .set('x-test-uid', 'uid-refund');
+    expect(usage.body.quota.jobsPerDay.used).toBe(0);
+  });
+
+  test('should attach identical requests to the job already building the archive', async () => {
+    // the requests all arrive while the first one fetches its photos
+    const photoModel = require('../../app/photo_model');
+    const fetchPhotoPage = photoModel.fetchPhotoPage;
+    jest.spyOn(photoModel, 'fetchPhotoPage').mockImplementation((...args) => {
+      return new Promise(resolve => setTimeout(resolve, 50)).then(() => fetchPhotoPage(...args));
+    });
+
+    const uids = ['uid-a', 'uid-b', 'uid-c', 'uid-d', 'uid-e'];
+    const responses = await Promise.all(uids.map(uid => postZip(uid, { tags: 'sunset' })));
+
+    const queued = responses.filter(response => !response.body.attached);
+    expect(queued).toHaveLength(1);
+    const jobId = queued[0].body.jobId;
+    responses.forEach(response => expect(response.body.jobId).toBe(jobId));
+
+    const job = await jobStore.getJob(jobId);
+    const owners = [job.uid].concat(Object.keys(job.subscribers));
+    expect(owners.sort()).toEqual(uids);
+  });
+
+  test('should save a cached archive to the history of the user asking for it', async () => {
+    const zipCache = require('../../app/zip_cache');
+    const firebase = require('../../app/firebase');
+    const cacheKey = zipCache.buildCacheKey({ tags: 'lake', source: 'flickr', size: 'm', format: 'zip', count: 10 });
+    await firebase.saveZipDataToFirebase('uid-builder', 'photos-lake-1.zip', 'url', 'local://photos-lake-1.zip', [], {
+      cacheKey
+    });
+    await zipCache.setCachedZip(cacheKey, {
+      filename: 'photos-lake-1.zip',
+      storagePath: 'local://photos-lake-1.zip',
+      signedUrl: 'url',
+      signedUrlExpiresAt: new Date(Date.now() + 60000).toISOString(),
+      photoLinks: ['http://example.com/lake_m.jpg'],
+      owners: ['uid-builder']
+    });
+
+    const response = await postZip('uid-later', { tags: 'lake' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ cached: true, signedUrl: 'url' });
+    const saved = await firebase.findZipById('uid-later', 'photos-lake-1');
+    expect(saved.zipData).toMatchObject({ photoLinks: ['http://example.com/lake_m.jpg'], sharedWith: ['uid-builder'] });
+    // the first owner no longer deletes the archive from under the new one
+    expect((await firebase.findZipById('uid-builder', 'photos-lake-1')).zipData.sharedWith).toEqual(['uid-later']);
+    expect((await zipCache.getCachedZip(cacheKey)).owners).toEqual(['uid-builder', 'uid-later']);
+  });
+
+  test('should not let other requests attach to a request over the quota', async () => {
+    await postZip('uid-full', { tags: 'dogs' });
+    await postZip('uid-full', { tags: 'cats' });
+
+    const [denied, other] = await Promise.all([
+      postZip('uid-full', { tags: 'sunset' }),
+      postZip('uid-other', { tags: 'sunset' })
+    ]);
+
+    expect(denied.status).toBe(429);
+    expect(other.status).toBe(202);
+    expect(other.body.attached).toBeUndefined();
+    expect(await jobStore.getJob(other.body.jobId)).toMatchObject({ status: 'queued', uid: 'uid-other' });
+  });
+
+  test('should not count an attached request against the quota', async () => {
+    await postZip('uid-first', { tags: 'sunset' });
+    await postZip('uid-attached', { tags: 'sunset' });
+
+    const usage = await request(app)
+      .get('/api/me/quota')
+      .set('x-test-uid', 'uid-attached');
+    expect(usage.body.quota.jobsPerDay.used).toBe(0);
+  });
+});
+
+describe('GET /job-status/:jobId', () => {
+  test('should not tell who the job belongs to', async () => {
+    const queued = await postZip('uid-owner', { tags: 'sunset' });
+    await postZip('uid-subscriber', { tags: 'sunset' });
+
+    const response = await request(app)
+      .get(`/job-status/${queued.body.jobId}`)
+      .set('x-test-uid', 'uid-subscriber');
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ status: 'queued', tags: 'sunset' });
+    expect(response.body).not.toHaveProperty('uid');
+    expect(response.body).not.toHaveProperty('subscribers');
+  });
+
+  test('should respond with a 404 to users not following the job', async () => {
+    const queued = await postZip('uid-owner', { tags: 'sunset' });
+
+    const response = await request(app)
+      .get(`/job-status/${queued.body.jobId}`)
+      .set('x-test-uid', 'uid-stranger');
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ error: 'Job not found' });
+  });
+
+  test('should respond with a 404 for an unknown job', async () => {
+    const response = await request(app)
+      .get('/job-status/00000000-0000-4000-8000-000000000000')
+      .set('x-test-uid', 'uid-owner');
+    expect(response.status).toBe(404);
+  });
+
+  test('should respond with a 400 for a malformed job ID', async () => {
+    const response = await request(app)
+      .get('/job-status/california')
+      .set('x-test-uid', 'uid-owner');
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('GET /jobs/:id/events', () => {
+  test('should replay the state of a finished job and close the stream', async () => {
+    const jobId = jobStore.generateJobId();
+    await jobStore.createJob(jobId, { tags: 'california', uid: 'uid-owner' });
+    await jobStore.setJobStatus(jobId, 'done', { signedUrl: 'https://storage.example.com/photos.zip' });
+
+    const response = await request(app).get(`/jobs/${jobId}/events?token=uid-owner`);
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(response.text).toMatch(/event: status\ndata: {.*"status":"done"/);
+    expect(response.text).toMatch(/event: ready\ndata: {"signedUrl":"https:\/\/storage.example.com\/photos.zip"}/);
+  });
+
+  test('should end the stream of a job finished by another instance', async () => {
+    const jobId = jobStore.generateJobId();
+    await jobStore.createJob(jobId, { tags: 'california', uid: 'uid-owner', subscribers: { 'uid-subscriber': true } });
+
+    // no event reaches this process, only the job record changes
+    setTimeout(() => {
+      jobStore.updateJob(jobId, { status: 'done', signedUrl: 'https://storage.example.com/photos.zip' });
+    }, 20);
+    const response = await request(app).get(`/jobs/${jobId}/events?token=uid-subscriber`);
+
+    expect(response.status).toBe(200);
+    expect(response.text).toMatch(/event: status\ndata: {.*"status":"queued"/);
+    expect(response.text).toMatch(/event: ready\ndata: {"signedUrl":"https:\/\/storage.example.com\/photos.zip"}/);
+    expect(response.text).toMatch(/event: status\ndata: {.*"status":"done"/);
+    // followers do not learn who else follows the job
+    expect(response.text).not.toMatch(/uid-owner/);
+  });
+
+  test('should respond with a 404 to users not following the job', async () => {
+    const jobId = jobStore.generateJobId();
+    await jobStore.createJob(jobId, { tags: 'california', uid: 'uid-owner' });
+
+    const response = await request(app).get(`/jobs/${jobId}/events?token=uid-stranger`);
+    expect(response.status).toBe(404);
+  });
+
+  test('should respond with a 404 for an unknown job', async () => {
+    const response = await request(app).get('/jobs/00000000-0000-4000-8000-000000000000/events?token=uid-owner');
+    expect(response.status).toBe(404);
+  });
+
+  test('should limit the streams a user keeps open', async () => {
+    const jobId = jobStore.generateJobId();
+    await jobStore.createJob(jobId, { tags: 'california', uid: 'uid-owner' });
+    const server = app.listen(0);
+    const url = `http://127.0.0.1:${server.address().port}/jobs/${jobId}/events?token=uid-owner`;
+
+    try {
+      // the first stream is counted once its headers are sent
+      const first = await new Promise((resolve, reject) => http.get(url, resolve).on('error', reject));
+      const second = await request(server).get(`/jobs/${jobId}/events?token=uid-owner`);
+
+      expect(first.statusCode).toBe(200);
+      expect(second.status).toBe(429);
+      expect(second.headers['content-type']).toMatch(/^application\/problem\+json/);
+
+      // closed streams no longer count
+      const firstClosed = new Promise(resolve => first.on('close', resolve));
+      first.resume();
+      await jobStore.updateJob(jobId, { status: 'done', signedUrl: 'https://storage.example.com/photos.zip' });
+      await firstClosed;
+      await new Promise(resolve => setImmediate(resolve));
+
+      const third = await request(server).get(`/jobs/${jobId}/events?token=uid-owner`);
+      expect(third.status).toBe(200);
+    } finally {
+      server.close();
+    }
+  });
+
+});
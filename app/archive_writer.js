@@ -0,0 +1,77 @@
+'use strict';
+
+const archiver = require('archiver');
+
+const ARCHIVE_FORMATS = {
+  zip: { extension: '.zip', contentType: 'application/zip' },
+  'tar.gz': { extension: '.tar.gz', contentType: 'application/gzip' }
+};
+
+function createZipArchive() {
+  // zip-stream is an ES module, only load it when a zip is built
+  const ZipStream = require('zip-stream');
+  const zip = new ZipStream.default();
+
+  return {
+    stream: zip,
+    addEntry(source, name) {
+      return new Promise((resolve, reject) => {
+        zip.entry(source, { name }, err => (err ? reject(err) : resolve()));
+      });
+    },
+    finalize() {
+      zip.finalize();
+    }
+  };
+}
+
+// archiver queues entries, each one resolves once it has been written
+function createTarGzArchive() {
+  const tar = archiver('tar', { gzip: true });
+  const pendingEntries = new Map();
+
+  tar.on('entry', entry => {
+    const pending = pendingEntries.get(entry.name);
+    if (pending) {
+      pendingEntries.delete(entry.name);
+      pending.resolve();
+    }
+  });
+
+  tar.on('error', err => {
+    pendingEntries.forEach(pending => pending.reject(err));
+    pendingEntries.clear();
+  });
+
+  return {
+    stream: tar,
+    addEntry(source, name) {
+      return new Promise((resolve, reject) => {
+        pendingEntries.set(name, { resolve, reject });
+        tar.append(source, { name });
+      });
+    },
+    finalize() {
+      tar.finalize();
+    }
+  };
+}
+
+/**
+ * Streaming archive in the given format ("zip" or "tar.gz").
+ * Read the archive from writer.stream while entries are added.
+ */
+function createArchiveWriter(format = 'zip') {
+  if (!ARCHIVE_FORMATS[format]) {
+    throw new Error(`Unknown archive format: ${format}`);
+  }
+
+  const writer = format === 'zip' ? createZipArchive() : createTarGzArchive();
+
+  return Object.assign(writer, ARCHIVE_FORMATS[format], { format });
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  createArchiveWriter
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+const { firebaseAdminApp } = require('./firebase');
+
+/**
+ * Extract the token from an "Authorization: Bearer <token>" header
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Express middleware verifying the Firebase ID token sent by the client.
+ * On success the caller is available as req.user = { uid, email, name }.
+ */
+async function requireAuth(req, res, next) {
+  return verifyRequestToken(getBearerToken(req), req, res, next);
+}
+
+/**
+ * requireAuth for EventSource clients, which cannot set headers: the token
+ * may also come as ?token=<ID token>
+ */
+async function requireAuthOrQueryToken(req, res, next) {
+  const { token } = req.query || {};
+  const queryToken = typeof token === 'string' ? token : null;
+  return verifyRequestToken(getBearerToken(req) || queryToken, req, res, next);
+}
+
+async function verifyRequestToken(idToken, req, res, next) {
+  if (!idToken) {
+    return res.status(401).json({
+      error: 'Authentication required: missing Bearer token'
+    });
+  }
+
+  if (!firebaseAdminApp) {
+    console.error('[AUTH] ✗ Firebase Admin is not initialised, cannot verify tokens');
+    return res.status(503).json({ error: 'Authentication is unavailable' });
+  }
+
+  try {
+    const decodedToken = await firebaseAdminApp.auth().verifyIdToken(idToken);
+
+    req.user = {
+      uid: decodedToken.uid,
+      email: decodedToken.email || null,
+      name: decodedToken.name || null
+    };
+
+    return next();
+  } catch (error) {
+    console.warn('[AUTH] ✗ Rejected ID token:', error.message);
+    return res.status(401).json({ error: 'Invalid or expired ID token' });
+  }
+}
+
+module.exports = {
+  getBearerToken,
+  requireAuth,
+  requireAuthOrQueryToken
+};
@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * Address of the client behind the reverse proxies we trust.
+ *
+ * Proxies append the address of their peer to X-Forwarded-For (or Forwarded),
+ * so only the right end of the header can be believed: starting from the
+ * socket peer we walk left while the address is a trusted proxy. Anything a
+ * client sends itself stays on the left and is never reached.
+ *
+ * TRUSTED_PROXIES: comma-separated addresses or CIDRs, plus the shortcuts
+ *   loopback, private and linklocal
+ * TRUSTED_PROXY_HOPS: number of proxies in front of the app, used instead of
+ *   TRUSTED_PROXIES when set (e.g. 1 on Heroku)
+ * TRUSTED_PROXY_HEADER: x-forwarded-for (default) or forwarded, the header
+ *   written by those proxies. The other one is never read.
+ * RATE_LIMIT_IPV6_PREFIX: e.g. 64, IPv6 clients of one subnet share a bucket
+ */
+
+const net = require('net');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const PROXY_RANGES = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10']
+};
+
+const FORWARDED_HEADERS = ['x-forwarded-for', 'forwarded'];
+
+// "2001:db8::1" -> [0x2001, 0xdb8, 0, 0, 0, 0, 0, 1]
+function expandIPv6(address) {
+  let text = address.toLowerCase();
+
+  // embedded IPv4 in the last 32 bits: ::ffff:192.0.2.1
+  const ipv4 = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (ipv4) {
+    const [a, b, c, d] = ipv4.slice(1).map(Number);
+    text = `${text.slice(0, ipv4.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeroGroups = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+
+  return headGroups.concat(zeroGroups, tailGroups).map(group => parseInt(group, 16));
+}
+
+// RFC 5952 text: lowercase, no leading zeros, longest run of zero groups as ::
+function compressIPv6(groups) {
+  let runStart = -1;
+  let runLength = 0;
+
+  for (let i = 0; i < groups.length; i++) {
+    let j = i;
+    while (j < groups.length && groups[j] === 0) {
+      j++;
+    }
+    if (j - i > runLength) {
+      runStart = i;
+      runLength = j - i;
+    }
+    i = j;
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (runLength < 2) {
+    return hex.join(':');
+  }
+  return `${hex.slice(0, runStart).join(':')}::${hex.slice(runStart + runLength).join(':')}`;
+}
+
+/**
+ * One canonical text per address, so a client cannot get a new bucket by
+ * writing its address differently. Ports, brackets and zone ids are dropped,
+ * IPv4-mapped IPv6 addresses become IPv4.
+ * @returns {string|null} null for anything that is not an IP address
+ */
+function normalizeIp(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  let address = value.trim();
+  const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) {
+    address = bracketed[1];
+  } else if (/^[\d.]+:\d+$/.test(address)) {
+    address = address.slice(0, address.indexOf(':'));
+  }
+  address = address.replace(/%.*$/, '');
+
+  const version = net.isIP(address);
+  if (version === 4) {
+    return address;
+  }
+  if (version !== 6) {
+    return null;
+  }
+
+  const groups = expandIPv6(address);
+  if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+    return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+  }
+  return compressIPv6(groups);
+}
+
+/**
+ * Address a rate limit bucket is keyed on: the IP itself, or its subnet for
+ * IPv6 when a prefix is set (clients usually get a whole /64)
+ */
+function getBucketAddress(ip, ipv6Prefix = 0) {
+  if (!ipv6Prefix || net.isIP(ip) !== 6) {
+    return ip;
+  }
+
+  const groups = expandIPv6(ip).map((group, i) => {
+    const keptBits = Math.min(Math.max(ipv6Prefix - i * 16, 0), 16);
+    return group & ((0xffff << (16 - keptBits)) & 0xffff);
+  });
+  return `${compressIPv6(groups)}/${ipv6Prefix}`;
+}
+
+function buildTrustedProxyList(entries) {
+  const blockList = new net.BlockList();
+
+  entries.forEach(entry => {
+    (PROXY_RANGES[entry] || [entry]).forEach(range => {
+      const [address, prefix] = range.split('/');
+      const version = net.isIP(address);
+      const maxPrefix = version === 4 ? 32 : 128;
+      const prefixLength = prefix === undefined ? maxPrefix : Number(prefix);
+
+      if (!version || !Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > maxPrefix) {
+        throw new Error(`Invalid trusted proxy: ${entry}`);
+      }
+      blockList.addSubnet(address, prefixLength, `ipv${version}`);
+    });
+  });
+
+  return blockList;
+}
+
+function loadClientIpConfig(env = process.env) {
+  const header = (env.TRUSTED_PROXY_HEADER || 'x-forwarded-for').toLowerCase();
+  if (FORWARDED_HEADERS.indexOf(header) === -1) {
+    throw new Error(`Unknown trusted proxy header: ${env.TRUSTED_PROXY_HEADER}`);
+  }
+
+  const trustedProxies = (env.TRUSTED_PROXIES || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0);
+  const ipv6Prefix = Number(env.RATE_LIMIT_IPV6_PREFIX);
+
+  return {
+    header,
+    hops: Number(env.TRUSTED_PROXY_HOPS) || 0,
+    trustedProxies: buildTrustedProxyList(trustedProxies),
+    ipv6Prefix: ipv6Prefix > 0 && ipv6Prefix <= 128 ? ipv6Prefix : 0
+  };
+}
+
+/**
+ * for= values of a Forwarded header, client first. Elements without one
+ * give null.
+ * Forwarded: for=192.0.2.60;proto=http, for="[2001:db8:cafe::17]:4711"
+ */
+function parseForwardedHeader(header) {
+  return header.split(',').map(element => {
+    const match = element.match(/(?:^|;)\s*for\s*=\s*("[^"]*"|[^;]*)/i);
+    return match ? match[1].trim().replace(/^"(.*)"$/, '$1') : null;
+  });
+}
+
+function getForwardedChain(req, header) {
+  const value = req.headers[header];
+  if (!value) {
+    return [];
+  }
+  return header === 'forwarded' ? parseForwardedHeader(value) : value.split(',').map(entry => entry.trim());
+}
+
+/**
+ * @returns {string|null} normalized address of the client, null when the
+ * socket has none (closed connection)
+ */
+function resolveClientIp(req, config = loadClientIpConfig()) {
+  const isTrusted = (address, hop) =>
+    config.hops > 0 ? hop < config.hops : config.trustedProxies.check(address, net.isIP(address) === 4 ? 'ipv4' : 'ipv6');
+
+  const chain = getForwardedChain(req, config.header);
+  let address = normalizeIp(req.socket && req.socket.remoteAddress);
+
+  for (let hop = 0; address && hop < chain.length && isTrusted(address, hop); hop++) {
+    const forwarded = normalizeIp(chain[chain.length - 1 - hop]);
+    // "unknown" or garbage: the last address we trust is the best we have
+    if (!forwarded) {
+      break;
+    }
+    address = forwarded;
+  }
+
+  return address;
+}
+
+module.exports = {
+  normalizeIp,
+  getBucketAddress,
+  loadClientIpConfig,
+  parseForwardedHeader,
+  resolveClientIp
+};
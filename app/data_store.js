@@ -0,0 +1,35 @@
+'use strict';
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Available backends, each exposing get(path), set(path, value),
+// update(path, changes), remove(path), transaction(path, updateFn) and
+// watch(path, onValue, onError), with Realtime Database paths and semantics
+const dataStoreBackends = {
+  firebase: () => require('./data_stores/firebase').createFirebaseDataStore(require('./firebase').db),
+  memory: () => require('./data_stores/memory').createMemoryDataStore()
+};
+
+let dataStore = null;
+
+/**
+ * The backend chosen by DATA_STORE_BACKEND (firebase or memory), created
+ * once. Defaults to Firebase when its credentials are configured.
+ */
+function getDataStore() {
+  if (!dataStore) {
+    const backend = process.env.DATA_STORE_BACKEND || (require('./firebase').db ? 'firebase' : 'memory');
+    if (!Object.prototype.hasOwnProperty.call(dataStoreBackends, backend)) {
+      throw new Error(`Unknown data store backend: ${backend}`);
+    }
+    dataStore = dataStoreBackends[backend]();
+    console.log(`[DATA_STORE] Using ${dataStore.name} backend`);
+  }
+  return dataStore;
+}
+
+module.exports = {
+  getDataStore
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Firebase Realtime Database backend: shared by every instance of the app
+ * and kept across restarts.
+ * @param {Object} db - the firebase-admin database
+ */
+function createFirebaseDataStore(db) {
+  async function get(path) {
+    const snapshot = await db.ref(path).once('value');
+    return snapshot.val();
+  }
+
+  async function transaction(path, updateFn) {
+    // Firebase may call updateFn several times, first with a stale value
+    const result = await db.ref(path).transaction(updateFn);
+    return { committed: result.committed, value: result.snapshot.val() };
+  }
+
+  function watch(path, onValue, onError) {
+    const ref = db.ref(path);
+    const onSnapshot = snapshot => onValue(snapshot.val());
+    ref.on('value', onSnapshot, onError);
+    return () => ref.off('value', onSnapshot);
+  }
+
+  return {
+    name: 'firebase',
+    get,
+    set: (path, value) => db.ref(path).set(value),
+    update: (path, changes) => db.ref(path).update(changes),
+    remove: path => db.ref(path).remove(),
+    transaction,
+    watch
+  };
+}
+
+module.exports = {
+  createFirebaseDataStore
+};
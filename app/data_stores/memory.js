@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * In-process backend, for running the app without Firebase. It keeps one
+ * JSON tree with the semantics of the Realtime Database (null removes a
+ * value, empty objects disappear, reads return copies) so code written
+ * against one backend works with the other. Data is lost on restart and
+ * only seen by this process.
+ */
+function createMemoryDataStore() {
+  let root = null;
+  const watchers = new Set(); // { path, onValue, last }
+
+  function splitPath(path) {
+    return String(path || '').split('/').filter(key => key.length > 0);
+  }
+
+  function copy(value) {
+    return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+  }
+
+  function read(path) {
+    let node = root;
+    for (const key of splitPath(path)) {
+      if (node === null || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, key)) {
+        return null;
+      }
+      node = node[key];
+    }
+    return node;
+  }
+
+  // Copy on write: values handed out earlier are never changed
+  function writeNode(node, keys, value) {
+    if (keys.length === 0) {
+      return value;
+    }
+    const children = node !== null && typeof node === 'object' ? Object.assign({}, node) : {};
+    const child = writeNode(children[keys[0]] === undefined ? null : children[keys[0]], keys.slice(1), value);
+    if (child === null) {
+      delete children[keys[0]];
+    } else {
+      children[keys[0]] = child;
+    }
+    return Object.keys(children).length > 0 ? children : null;
+  }
+
+  // Null children are not stored either, and objects left empty disappear
+  function prune(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return value;
+    }
+    Object.keys(value).forEach(key => {
+      value[key] = prune(value[key]);
+      if (value[key] === null) {
+        delete value[key];
+      }
+    });
+    return Object.keys(value).length > 0 ? value : null;
+  }
+
+  function write(path, value) {
+    root = writeNode(root, splitPath(path), prune(copy(value)));
+  }
+
+  function notifyWatchers() {
+    watchers.forEach(watcher => {
+      const serialized = JSON.stringify(read(watcher.path));
+      if (serialized !== watcher.last) {
+        watcher.last = serialized;
+        watcher.onValue(copy(read(watcher.path)));
+      }
+    });
+  }
+
+  async function get(path) {
+    return copy(read(path));
+  }
+
+  async function set(path, value) {
+    write(path, value);
+    notifyWatchers();
+  }
+
+  /**
+   * Several children at once: keys of changes may be paths ('a/b')
+   */
+  async function update(path, changes) {
+    Object.keys(changes).forEach(key => {
+      write(`${path}/${key}`, changes[key]);
+    });
+    notifyWatchers();
+  }
+
+  async function remove(path) {
+    return set(path, null);
+  }
+
+  /**
+   * updateFn(current) returns the new value, null to remove it, or
+   * undefined to abort. Nothing else runs in between: it is atomic.
+   */
+  async function transaction(path, updateFn) {
+    const next = updateFn(copy(read(path)));
+    if (next === undefined) {
+      return { committed: false, value: copy(read(path)) };
+    }
+    await set(path, next);
+    return { committed: true, value: copy(read(path)) };
+  }
+
+  /**
+   * Call onValue with the current value, then on each change
+   * @returns {Function} call it to stop watching
+   */
+  function watch(path, onValue) {
+    const watcher = { path, onValue, last: JSON.stringify(read(path)) };
+    watchers.add(watcher);
+    // like Firebase, the current value comes asynchronously
+    setImmediate(() => {
+      if (watchers.has(watcher)) {
+        onValue(copy(read(path)));
+      }
+    });
+    return () => watchers.delete(watcher);
+  }
+
+  return {
+    name: 'memory',
+    get,
+    set,
+    update,
+    remove,
+    transaction,
+    watch
+  };
+}
+
+module.exports = {
+  createMemoryDataStore
+};
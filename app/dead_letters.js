@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * Zip requests the worker gave up on.
+ *
+ * After MAX_DELIVERY_ATTEMPTS failed deliveries a message is published to the
+ * dead-letter topic and recorded under /deadLetters/<messageId>, so it can be
+ * inspected and replayed once the cause is fixed.
+ *
+ * Usage:
+ *   node app/dead_letters.js list
+ *   node app/dead_letters.js inspect <messageId>
+ *   node app/dead_letters.js replay <messageId>
+ */
+
+const dotenv = require('dotenv');
+const { getDataStore } = require('./data_store');
+const { sendMessage } = require('./queue');
+const { setJobStatus } = require('./job_store');
+
+dotenv.config();
+
+const MAX_DELIVERY_ATTEMPTS = Number(process.env.MAX_DELIVERY_ATTEMPTS) || 5;
+const DEAD_LETTERS_ROOT = 'deadLetters';
+
+// Deliveries seen per message id, for subscriptions without a dead-letter
+// policy: Pub/Sub only sets message.deliveryAttempt when there is one.
+// Messages handled by another instance, or never redelivered, are never
+// forgotten explicitly: entries unseen for TRACKED_ATTEMPTS_TTL_MS are
+// dropped, and at most MAX_TRACKED_MESSAGES are kept (a Map iterates in
+// insertion order, so an entry is moved to the end on each delivery and the
+// first one is the least recent).
+const TRACKED_ATTEMPTS_TTL_MS = 60 * 60 * 1000;
+const MAX_TRACKED_MESSAGES = 10000;
+const trackedAttempts = new Map(); // message id -> { attempts, seenAt }
+
+function getDeadLetterTopic() {
+  return process.env.DEAD_LETTER_TOPIC || `${process.env.TOPIC_NAME}-dead-letter`;
+}
+
+/**
+ * Number of times this message has been delivered, this delivery included
+ */
+function getDeliveryAttempt(message, now = Date.now()) {
+  if (message.deliveryAttempt) {
+    return message.deliveryAttempt;
+  }
+
+  for (const [messageId, entry] of trackedAttempts) {
+    if (now - entry.seenAt < TRACKED_ATTEMPTS_TTL_MS) {
+      break; // the others were seen later
+    }
+    trackedAttempts.delete(messageId);
+  }
+
+  const previous = trackedAttempts.get(message.id);
+  const attempts = (previous ? previous.attempts : 0) + 1;
+  trackedAttempts.delete(message.id);
+  trackedAttempts.set(message.id, { attempts, seenAt: now });
+  if (trackedAttempts.size > MAX_TRACKED_MESSAGES) {
+    trackedAttempts.delete(trackedAttempts.keys().next().value);
+  }
+  return attempts;
+}
+
+function forgetDeliveryAttempts(message) {
+  trackedAttempts.delete(message.id);
+}
+
+function hasExhaustedAttempts(attempt, maxAttempts = MAX_DELIVERY_ATTEMPTS) {
+  return attempt >= maxAttempts;
+}
+
+/**
+ * Publish a message to the dead-letter topic and keep a record of it
+ * @param {Object} message - the Pub/Sub message
+ * @param {Object} messageData - its parsed payload
+ * @param {Object} failure - { attempts, error }
+ */
+async function deadLetterMessage(message, messageData, { attempts, error }) {
+  const record = {
+    messageId: message.id,
+    jobId: messageData.jobId || null,
+    uid: messageData.uid || null,
+    tags: messageData.tags || null,
+    attempts,
+    error,
+    data: messageData,
+    deadLetteredAt: new Date().toISOString(),
+    replayedAt: null,
+    replayCount: 0
+  };
+
+  const topicName = getDeadLetterTopic();
+  await sendMessage(
+    Object.assign({}, messageData, { deadLetter: { attempts, error, messageId: message.id } }),
+    topicName,
+    `${topicName}-sub`
+  );
+
+  await getDataStore().set(`${DEAD_LETTERS_ROOT}/${message.id}`, record);
+
+  console.log(`[DEAD_LETTER] ✓ Message ${message.id} dead-lettered to ${topicName} after ${attempts} attempts`);
+  return record;
+}
+
+async function listDeadLetters() {
+  return Object.values((await getDataStore().get(DEAD_LETTERS_ROOT)) || {});
+}
+
+async function getDeadLetter(messageId) {
+  return getDataStore().get(`${DEAD_LETTERS_ROOT}/${messageId}`);
+}
+
+/**
+ * Publish a dead-lettered zip request again, on the same job
+ * @returns {Promise<string>} id of the new message
+ */
+async function replayDeadLetter(messageId) {
+  const record = await getDeadLetter(messageId);
+  if (!record) {
+    throw new Error(`Dead letter ${messageId} not found`);
+  }
+
+  if (record.jobId) {
+    await setJobStatus(record.jobId, 'queued', { error: null, attempts: 0 });
+  }
+  const newMessageId = await sendMessage(Object.assign({}, record.data, { timestamp: new Date().toISOString() }));
+
+  const changes = {
+    replayedAt: new Date().toISOString(),
+    replayCount: (record.replayCount || 0) + 1,
+    replayMessageId: newMessageId
+  };
+  await getDataStore().update(`${DEAD_LETTERS_ROOT}/${messageId}`, changes);
+
+  console.log(`[DEAD_LETTER] ✓ Message ${messageId} replayed as ${newMessageId}`);
+  return newMessageId;
+}
+
+module.exports = {
+  MAX_DELIVERY_ATTEMPTS,
+  getDeliveryAttempt,
+  forgetDeliveryAttempts,
+  hasExhaustedAttempts,
+  deadLetterMessage,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter
+};
+
+async function runCommand(command, messageId) {
+  if (command === 'list') {
+    const deadLetters = await listDeadLetters();
+    deadLetters.forEach(record => {
+      const replayed = record.replayedAt ? ` (replayed ${record.replayCount}x)` : '';
+      console.log(`${record.messageId}  ${record.deadLetteredAt}  job=${record.jobId}  tags="${record.tags}"  ${record.error}${replayed}`);
+    });
+    console.log(`[DEAD_LETTER] ${deadLetters.length} dead-lettered message(s)`);
+  } else if (command === 'inspect' && messageId) {
+    const record = await getDeadLetter(messageId);
+    if (!record) {
+      throw new Error(`Dead letter ${messageId} not found`);
+    }
+    console.log(JSON.stringify(record, null, 2));
+  } else if (command === 'replay' && messageId) {
+    await replayDeadLetter(messageId);
+  } else {
+    throw new Error('Usage: node app/dead_letters.js list | inspect <messageId> | replay <messageId>');
+  }
+}
+
+// Allow direct execution as an admin command
+if (require.main === module) {
+  const [command, messageId] = process.argv.slice(2);
+
+  runCommand(command, messageId)
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('[DEAD_LETTER] ✗', error.message);
+      process.exit(1);
+    });
+}
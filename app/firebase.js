@@ -4,7 +4,9 @@ const admin = require('firebase-admin');
 const { initializeApp } = require('firebase/app');
 const { getAuth } = require('firebase/auth');
 const dotenv = require('dotenv');
+const crypto = require('crypto');
 const fs = require('fs');
+const { getDataStore } = require('./data_store');
 
 dotenv.config();
 
@@ -62,12 +64,44 @@ function initializeFirebaseAdmin() {
   return { firebaseAdminApp, firebaseWebApp, auth, db };
 }
 
+// Root of the zip history, one subtree per Firebase Auth uid
+const ZIPS_ROOT = 'zips';
+
+// Number of history entries per storage object, so that exactly one delete,
+// the one removing the last entry, deletes the object
+const ZIP_REFS_ROOT = 'zipRefs';
+
+function getZipRefPath(storagePath) {
+  // hashed: Firebase keys cannot hold "/" or "."
+  return `${ZIP_REFS_ROOT}/${crypto.createHash('sha1').update(storagePath).digest('hex')}`;
+}
+
+async function addZipReference(storagePath) {
+  await getDataStore().transaction(getZipRefPath(storagePath), count => (count || 0) + 1);
+}
+
+/**
+ * Count one history entry of a storage object less, in one atomic step
+ * @returns {Promise<number|null>} entries left, null for an object saved
+ * before entries were counted
+ */
+async function releaseZipReference(storagePath) {
+  let count = null;
+  await getDataStore().transaction(getZipRefPath(storagePath), current => {
+    // the last call is the one committed
+    count = current;
+    return current > 1 ? current - 1 : null;
+  });
+  return count === null ? null : count - 1;
+}
+
 async function saveZipDataToFirebase(
-  prenom,
+  uid,
   filename,
   signedUrl,
   storagePath,
-  photoLinks = []
+  photoLinks = [],
+  options = {}
 ) {
   try {
     // Get current timestamp
@@ -82,9 +116,9 @@ async function saveZipDataToFirebase(
       .replace(/\./g, '-') // Replace . with -
       .replace('Z', ''); // Remove Z
 
-    // Remove .zip extension from filename for Firebase path (. is not allowed)
+    // Remove .zip / .tar.gz extension from filename for Firebase path (. is not allowed)
     // photos-california-xxx.zip -> photos-california-xxx
-    const filenameWithoutExt = filename.replace('.zip', '');
+    const filenameWithoutExt = filename.replace(/\.(zip|tar\.gz)$/, '');
 
     // Create the data object
     const zipData = {
@@ -93,16 +127,24 @@ async function saveZipDataToFirebase(
       signedUrl: signedUrl,
       photoLinks: photoLinks,
       createdAt: zipTimestamp, // Keep full ISO format in the data
-      photoCount: photoLinks.length
+      photoCount: photoLinks.length,
+      size: options.size || 'm', // t, m or b
+      format: options.format || 'zip', // zip or tar.gz
+      sizeBytes: options.sizeBytes || null,
+      failedPhotos: options.failedPhotos || [], // { link, media_url, reason }
+      cacheKey: options.cacheKey || null, // see zip_cache.js
+      sharedWith: options.sharedWith || [], // uids with the same archive in their history
+      label: null // set by the user
     };
 
-    // Save to Firebase at path: /prenom/heure/filename (without .zip extension)
-    const ref = firebase.db.ref(`${prenom}/${timeOnly}/${filenameWithoutExt}`);
-    await ref.set(zipData);
+    // Save to Firebase at path: /zips/uid/heure/filename (without .zip extension)
+    const path = `${ZIPS_ROOT}/${uid}/${timeOnly}/${filenameWithoutExt}`;
+    if (storagePath) {
+      await addZipReference(storagePath);
+    }
+    await getDataStore().set(path, zipData);
 
-    console.log(
-      `[FIREBASE] ✓ Data saved at: /${prenom}/${timeOnly}/${filenameWithoutExt}`
-    );
+    console.log(`[FIREBASE] ✓ Data saved at: /${path}`);
 
     return zipData;
   } catch (error) {
@@ -111,17 +153,16 @@ async function saveZipDataToFirebase(
   }
 }
 
-async function getZipDataByPrenom(prenom) {
+async function getZipDataByUid(uid) {
   try {
-    console.log(`[FIREBASE] Reading data for: ${prenom}`);
-    const ref = firebase.db.ref(prenom);
-    const snapshot = await ref.once('value');
+    console.log(`[FIREBASE] Reading data for: ${uid}`);
+    const zips = await getDataStore().get(`${ZIPS_ROOT}/${uid}`);
 
-    if (snapshot.exists()) {
-      console.log(`[FIREBASE] ✓ Data found for ${prenom}`);
-      return snapshot.val();
+    if (zips) {
+      console.log(`[FIREBASE] ✓ Data found for ${uid}`);
+      return zips;
     } else {
-      console.log(`[FIREBASE] No data found for ${prenom}`);
+      console.log(`[FIREBASE] No data found for ${uid}`);
       return null;
     }
   } catch (error) {
@@ -130,11 +171,51 @@ async function getZipDataByPrenom(prenom) {
   }
 }
 
+/**
+ * Zip history of every user: uid -> time slot -> file key -> zip data
+ */
+async function getAllZipData() {
+  return (await getDataStore().get(ZIPS_ROOT)) || {};
+}
+
+/**
+ * Zip entry of a user by id (its file key: the filename without extension).
+ * Entries of other users are never returned.
+ * @returns {Promise<Object|null>} { id, timeSlot, zipData }
+ */
+async function findZipById(uid, zipId) {
+  const zips = (await getZipDataByUid(uid)) || {};
+  for (const timeSlot of Object.keys(zips)) {
+    if (zips[timeSlot] && zips[timeSlot][zipId]) {
+      return { id: zipId, timeSlot, zipData: zips[timeSlot][zipId] };
+    }
+  }
+  return null;
+}
+
+function getZipPath(uid, timeSlot, zipId) {
+  return `${ZIPS_ROOT}/${uid}/${timeSlot}/${zipId}`;
+}
+
+async function updateZipEntry(uid, timeSlot, zipId, changes) {
+  await getDataStore().update(getZipPath(uid, timeSlot, zipId), changes);
+}
+
+async function removeZipEntry(uid, timeSlot, zipId) {
+  await getDataStore().remove(getZipPath(uid, timeSlot, zipId));
+}
+
 module.exports = {
   firebaseAdminApp: firebase ? firebase.firebaseAdminApp : null,
   firebaseWebApp: firebase ? firebase.firebaseWebApp : null,
   auth: firebase ? firebase.auth : null,
   db: firebase ? firebase.db : null,
+  ZIPS_ROOT,
   saveZipDataToFirebase,
-  getZipDataByPrenom
+  releaseZipReference,
+  getZipDataByUid,
+  getAllZipData,
+  findZipById,
+  updateZipEntry,
+  removeZipEntry
 };
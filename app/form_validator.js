@@ -1,19 +1,109 @@
-function isValidCommaDelimitedList(value) {
+// largest page size accepted by the search
+const MAX_PER_PAGE = 50;
+
+// tags of one search, and last page of results: sources without paging
+// fetch every photo up to the page, some with a request per tag
+const MAX_TAGS = 10;
+const MAX_PAGE = 20;
+
+// longest custom label of a zip
+const MAX_ZIP_LABEL_LENGTH = 100;
+
+function isValidCommaDelimitedList(value, maxItems = MAX_TAGS) {
   // allow letters, commas, and spaces
   const commaDelimitedListRegEx = /^[A-Za-z,\s]+$/;
-  return commaDelimitedListRegEx.test(value);
+  if (typeof value !== 'string' || !commaDelimitedListRegEx.test(value)) {
+    return false;
+  }
+  return value.split(',').filter(item => item.trim().length > 0).length <= maxItems;
 }
 
 function isValidTagmode(value) {
   return value === 'all' || value === 'any';
 }
 
+// t (thumbnail), m (small) or b (large) Flickr image sizes
+function isValidPhotoSize(value) {
+  return value === 't' || value === 'm' || value === 'b';
+}
+
+function isValidArchiveFormat(value) {
+  return value === 'zip' || value === 'tar.gz';
+}
+
+function isPositiveInteger(value) {
+  return /^[1-9][0-9]*$/.test(String(value));
+}
+
+function isValidPage(value) {
+  return isPositiveInteger(value) && Number(value) <= MAX_PAGE;
+}
+
+function isValidPerPage(value) {
+  return isPositiveInteger(value) && Number(value) <= MAX_PER_PAGE;
+}
+
 function hasValidFlickrAPIParams(tags, tagmode) {
   return isValidCommaDelimitedList(tags) && isValidTagmode(tagmode);
 }
 
+function isValidZipLimit(value, max) {
+  return isPositiveInteger(value) && Number(value) <= max;
+}
+
+function isValidPhotoLinkList(value, max) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.length <= max &&
+    value.every(link => typeof link === 'string' && link.length > 0)
+  );
+}
+
+// a label, or null to clear it
+function isValidZipLabel(value) {
+  if (value === null) {
+    return true;
+  }
+  return (
+    typeof value === 'string' &&
+    value.trim().length > 0 &&
+    value.length <= MAX_ZIP_LABEL_LENGTH
+  );
+}
+
+function isValidZipIdList(value, max) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.length <= max &&
+    value.every(id => typeof id === 'string' && id.length > 0)
+  );
+}
+
+// page and per_page are optional
+function hasValidPaginationParams(page, perPage) {
+  return (
+    (page === undefined || isValidPage(page)) &&
+    (perPage === undefined || isValidPerPage(perPage))
+  );
+}
+
 module.exports = {
+  MAX_PER_PAGE,
+  MAX_TAGS,
+  MAX_PAGE,
+  MAX_ZIP_LABEL_LENGTH,
   isValidCommaDelimitedList,
   isValidTagmode,
-  hasValidFlickrAPIParams
+  isValidPhotoSize,
+  isValidArchiveFormat,
+  isValidPage,
+  isValidPerPage,
+  isValidZipLimit,
+  isValidPhotoLinkList,
+  isValidZipLabel,
+  isValidZipIdList,
+  hasValidFlickrAPIParams,
+  hasValidPaginationParams
 };
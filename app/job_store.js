@@ -0,0 +1,159 @@
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { getDataStore } = require('./data_store');
+
+// Lifecycle of a zip job, in order
+const JOB_STATUSES = [
+  'queued',
+  'fetching',
+  'zipping',
+  'uploading',
+  'done',
+  'failed'
+];
+
+const JOBS_ROOT = 'jobs';
+
+// Live progress for GET /jobs/:id/events, from a worker in this process.
+// With Pub/Sub the job may be built by another instance: status changes
+// also come from the data store (see onJobEvent).
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const JOB_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function generateJobId() {
+  return crypto.randomUUID();
+}
+
+function isValidJobId(jobId) {
+  return JOB_ID_REGEX.test(jobId);
+}
+
+async function createJob(jobId, fields = {}) {
+  const now = new Date().toISOString();
+  const job = Object.assign(
+    {
+      photosFound: 0,
+      photosZipped: 0,
+      error: null,
+      signedUrl: null,
+      filename: null
+    },
+    fields,
+    {
+      id: jobId,
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      timestamps: { queued: now }
+    }
+  );
+
+  try {
+    await getDataStore().set(`${JOBS_ROOT}/${jobId}`, job);
+    console.log(`[JOBS] ✓ Job ${jobId} created (status: queued)`);
+    return job;
+  } catch (error) {
+    console.error(`[JOBS] ✗ Error creating job ${jobId}:`, error.message);
+    throw error;
+  }
+}
+
+async function updateJob(jobId, changes) {
+  const update = Object.assign({}, changes, {
+    updatedAt: new Date().toISOString()
+  });
+
+  try {
+    await getDataStore().update(`${JOBS_ROOT}/${jobId}`, update);
+  } catch (error) {
+    console.error(`[JOBS] ✗ Error updating job ${jobId}:`, error.message);
+    throw error;
+  }
+}
+
+async function setJobStatus(jobId, status, fields = {}) {
+  if (JOB_STATUSES.indexOf(status) === -1) {
+    throw new Error(`Unknown job status: ${status}`);
+  }
+
+  const changes = Object.assign({}, fields, { status });
+  changes[`timestamps/${status}`] = new Date().toISOString();
+
+  await updateJob(jobId, changes);
+  console.log(`[JOBS] Job ${jobId} → ${status}`);
+
+  emitJobEvent(jobId, 'status', Object.assign({}, fields, { status }));
+}
+
+/**
+ * Remove a job nobody follows, e.g. one that was attached to another job
+ */
+async function deleteJob(jobId) {
+  try {
+    await getDataStore().remove(`${JOBS_ROOT}/${jobId}`);
+  } catch (error) {
+    console.error(`[JOBS] ✗ Error deleting job ${jobId}:`, error.message);
+    throw error;
+  }
+}
+
+function isTerminalStatus(status) {
+  return status === 'done' || status === 'failed';
+}
+
+function emitJobEvent(jobId, type, data = {}) {
+  jobEvents.emit(jobId, { type, data });
+}
+
+/**
+ * Listen to the events of one job. Progress events only come from a worker
+ * in this process; every change of the job record is also passed on as a
+ * 'status' event (the current record first), whichever instance builds it.
+ * The same status may then arrive twice.
+ * @returns {Function} call it to stop listening
+ */
+function onJobEvent(jobId, listener) {
+  jobEvents.on(jobId, listener);
+
+  const onValue = job => {
+    if (job) {
+      listener({ type: 'status', data: job });
+    }
+  };
+  const onError = error => {
+    console.error(`[JOBS] ✗ Error watching job ${jobId}:`, error.message);
+  };
+  const stopWatching = getDataStore().watch(`${JOBS_ROOT}/${jobId}`, onValue, onError);
+
+  return () => {
+    jobEvents.removeListener(jobId, listener);
+    stopWatching();
+  };
+}
+
+async function getJob(jobId) {
+  try {
+    return await getDataStore().get(`${JOBS_ROOT}/${jobId}`);
+  } catch (error) {
+    console.error(`[JOBS] ✗ Error reading job ${jobId}:`, error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  JOB_STATUSES,
+  generateJobId,
+  isValidJobId,
+  createJob,
+  updateJob,
+  setJobStatus,
+  getJob,
+  deleteJob,
+  isTerminalStatus,
+  emitJobEvent,
+  onJobEvent
+};
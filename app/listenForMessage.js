@@ -1,205 +1,399 @@
 'use strict';
 
-// Imports the Google Cloud client library
-const {PubSub} = require('@google-cloud/pubsub');
-const {Storage} = require('@google-cloud/storage');
 const dotenv = require('dotenv');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
 const photoModel = require('./photo_model');
-const request = require('request');
+const { createArchiveWriter } = require('./archive_writer');
+const zipManifest = require('./zip_manifest');
+const { fetchPhotosInOrder } = require('./photo_fetcher');
 const { saveZipDataToFirebase } = require('./firebase');
+const { setJobStatus, updateJob, getJob, emitJobEvent } = require('./job_store');
+const deadLetters = require('./dead_letters');
+const { releaseJobSlot } = require('./quota');
+const { subscribe } = require('./queue');
+const { getStorage } = require('./storage');
+const { shareCachedZip } = require('./zip_history');
+const {
+  SIGNED_URL_TTL_MS,
+  getCachedZip,
+  setCachedZip,
+  releaseInFlightJob
+} = require('./zip_cache');
 
 dotenv.config();
 
-// In-memory store for zip files (tags -> filename mapping)
-// In production, use a database like Redis or Firestore
-const zipFilesStore = new Map();
 
 
 // Get authenticated client
 // const authClient = getAuthClient();
 
-// Creates a client; cache this for further use
-const pubSubClient = new PubSub({
-  projectId: process.env.PROJECT_ID
-});
+// Archives estimated above this size are uploaded with resumable uploads
+const RESUMABLE_UPLOAD_THRESHOLD_BYTES = 5 * 1024 * 1024;
 
-// Create Storage client with proper authentication
-const storage = new Storage({
-  projectId: process.env.PROJECT_ID,
-});
+// Rough size of one photo for each Flickr size
+const ESTIMATED_PHOTO_BYTES = {
+  t: 10 * 1024,
+  m: 40 * 1024,
+  b: 400 * 1024
+};
+
+function estimateArchiveBytes(photoCount, size) {
+  return photoCount * (ESTIMATED_PHOTO_BYTES[size] || ESTIMATED_PHOTO_BYTES.b);
+}
+
+// A finished job no longer counts as running for its owner (see quota.js)
+async function releaseQuotaSlot(uid, jobId) {
+  if (!uid || !jobId) {
+    return;
+  }
+  await releaseJobSlot(uid, jobId).catch(error => {
+    console.warn(`[QUOTA] ⚠ Could not release the slot of job ${jobId}:`, error.message);
+  });
+}
+
+// The user of the job and the ones who asked for the same archive while it
+// was built (see POST /zip)
+async function getArchiveOwners(jobId, uid) {
+  const job = jobId ? await getJob(jobId) : null;
+  return [uid].concat(
+    Object.keys((job && job.subscribers) || {}).filter(subscriber => subscriber !== uid)
+  );
+}
 
 // Function to process zip job
-async function processZipJob(tags, prenom) {
-  console.log(`\n[ZIP_JOB] Starting zip job for tags: "${tags}", user: "${prenom}"`);
+async function processZipJob({
+  tags,
+  uid,
+  jobId,
+  source = photoModel.DEFAULT_SOURCE,
+  photos: selectedPhotos,
+  size = 'm',
+  format = 'zip',
+  cacheKey
+}) {
+  console.log(`\n[ZIP_JOB] Starting zip job for tags: "${tags}", source: "${source}", size: "${size}", format: "${format}", user: "${uid}", job: "${jobId}"`);
+
+  // Messages published before job tracking existed carry no jobId
+  const updateStatus = (status, fields) =>
+    jobId ? setJobStatus(jobId, status, fields) : Promise.resolve();
+  const emitProgress = (type, data) => {
+    if (jobId) emitJobEvent(jobId, type, data);
+  };
   
-  // Validate prenom parameter
-  if (!prenom) {
-    console.error('[ZIP_JOB] ✗ Prenom parameter is required for zip job');
+  // Validate uid parameter
+  if (!uid) {
+    console.error('[ZIP_JOB] ✗ uid parameter is required for zip job');
   }
   
   try {
-    // 1. Get photos from Flickr
-    console.log(`[FLICKR] Fetching photos for tags: "${tags}"`);
-    const photos = await photoModel.getFlickrPhotos(tags);
+    // 1. Get photos: POST /zip resolves the exact photos to zip, older
+    // messages only carry tags and get the first 10 from the source
+    await updateStatus('fetching');
+    let photos = selectedPhotos;
+    if (!photos) {
+      console.log(`[PHOTOS] Fetching ${source} photos for tags: "${tags}"`);
+      photos = await photoModel.searchPhotos(tags, undefined, { source });
+    }
     
     if (!photos || photos.length === 0) {
-      console.error(`[FLICKR] ✗ No photos found for tags: "${tags}"`);
+      console.error(`[PHOTOS] ✗ No photos found for tags: "${tags}"`);
     }
     
-    // 2. Take only first 10 photos
-    const photosToZip = photos.slice(0, 10);
-    console.log(`[FLICKR] Found ${photos.length} photos, selecting first ${photosToZip.length} for zipping`);
-    
-    // 3. Create zip in memory
-    console.log(`[ZIP] Creating zip archive in memory`);
-    const ZipStream = require('zip-stream');
-    const zip = new ZipStream.default();
-    const chunks = [];
-    
-    // Collect zip data in memory
-    zip.on('data', (chunk) => chunks.push(chunk));
-    
-    const zipPromise = new Promise((resolve, reject) => {
-      zip.on('end', () => resolve(Buffer.concat(chunks)));
-      zip.on('error', reject);
-    });
-    
-    // 4. Add files to zip
-    console.log(`[ZIP] Adding ${photosToZip.length} files to archive`);
-    await addFilesToZip(zip, photosToZip);
+    // 2. Take the selected photos, or only the first 10
+    const photosToZip = selectedPhotos || photos.slice(0, 10);
+    console.log(`[PHOTOS] Found ${photos.length} photos, selecting ${photosToZip.length} for zipping`);
     
-    // Wait for zip to complete
-    const zipBuffer = await zipPromise;
-    console.log(`[ZIP] ✓ Archive created successfully, size: ${(zipBuffer.length / 1024 / 1024).toFixed(2)} MB`);
-    
-    // 5. Upload to Google Cloud Storage
-    const filename = `photos-${tags}-${Date.now()}.zip`;
-    const bucketName = process.env.STORAGE_BUCKET;
+    // 3. Open the upload: the archive is streamed to storage while it is built
+    const archive = createArchiveWriter(format);
+    const filename = `photos-${tags}-${Date.now()}${archive.extension}`;
+    const storage = getStorage();
     
     console.log(`[STORAGE] Configuration:`);
-    console.log(`[STORAGE] - Bucket: ${bucketName}`);
-    console.log(`[STORAGE] - Project: ${process.env.PROJECT_ID}`);
+    console.log(`[STORAGE] - Backend: ${storage.name}`);
     console.log(`[STORAGE] - Filename: ${filename}`);
+
+    // Resumable uploads survive network hiccups but cost extra requests
+    const resumable = estimateArchiveBytes(photosToZip.length, size) > RESUMABLE_UPLOAD_THRESHOLD_BYTES;
     
-    if (!bucketName) {
-      console.error('[STORAGE] ✗ STORAGE_BUCKET environment variable is not set');
-    }
-    
-    console.log(`[STORAGE] Initializing bucket connection...`);
-    const bucket = storage.bucket(bucketName);
-    const file = bucket.file(filename);
-    
-    console.log(`[STORAGE] Starting upload to gs://${bucketName}/${filename}`);
-    const stream = file.createWriteStream({
-      metadata: {
-        contentType: 'application/zip',
-        cacheControl: 'private'
-      },
-      resumable: false
+    const uploadStream = storage.createWriteStream(filename, {
+      contentType: archive.contentType,
+      resumable
     });
-    
-    await new Promise((resolve, reject) => {
-      stream.on('error', (err) => {
+
+    const uploadDone = new Promise((resolve, reject) => {
+      uploadStream.on('error', (err) => {
         console.error(`[STORAGE] ✗ Upload error:`, err.message);
-        console.error(`[STORAGE] ✗ Please verify that the bucket "${bucketName}" exists in project "${process.env.PROJECT_ID}"`);
         reject(err);
       });
       
-      stream.on('finish', () => {
+      uploadStream.on('finish', () => {
         console.log(`[STORAGE] ✓ Upload completed successfully`);
         resolve('Ok');
       });
-      
-      stream.end(zipBuffer);
     });
+    // awaited below, after the archive is complete. A failed upload stops
+    // the downloads: the archive can no longer be stored.
+    const downloads = new AbortController();
+    uploadDone.catch(error => downloads.abort(error));
+
+    const archiveCounter = createByteCounter();
+    archive.stream.on('error', (err) => uploadStream.destroy(err));
+    archive.stream.pipe(archiveCounter).pipe(uploadStream);
+    
+    // 4. Add files to archive
+    await updateStatus('zipping', { photosFound: photos.length });
+    console.log(`[ZIP] Adding ${photosToZip.length} files to ${format} archive`);
+    let entries;
+    let failures;
+    try {
+      // a failed upload stops the archive from draining, do not wait for it
+      ({ entries, failures } = await Promise.race([
+        addFilesToZip(archive, photosToZip, size, (added, failed, filename) => {
+          emitProgress('progress', { added, failed, total: photosToZip.length, filename });
+        }, downloads.signal),
+        uploadDone.then(() => new Promise(() => {}))
+      ]));
+      // a partial archive is fine, an empty one is not
+      if (entries.length === 0) {
+        throw new Error('None of the photos could be downloaded');
+      }
+    } catch (error) {
+      downloads.abort(error);
+      archive.stream.destroy();
+      uploadStream.destroy(error);
+      throw error;
+    }
+
+    const failedPhotos = failures.map(failure => ({
+      link: failure.photo.link,
+      media_url: failure.photo.media[size],
+      reason: failure.reason
+    }));
+    if (failedPhotos.length > 0) {
+      console.warn(`[ZIP] ⚠ ${failedPhotos.length}/${photosToZip.length} photos could not be downloaded`);
+    }
+
+    // Source metadata, sizes and checksums travel with the photos
+    const manifest = zipManifest.buildManifest({ tags, source, size, format }, entries, failures);
+    await archive.addEntry(Buffer.from(zipManifest.toManifestJson(manifest)), 'manifest.json');
+    await archive.addEntry(Buffer.from(zipManifest.toManifestCsv(manifest)), 'manifest.csv');
+    await archive.addEntry(Buffer.from(zipManifest.toAttributionText(manifest)), 'ATTRIBUTION.txt');
+    archive.finalize();
+    console.log(`[ZIP] ✓ Manifest and attribution added, finalizing archive`);
+    
+    // 5. Wait for the end of the upload
+    await updateStatus('uploading', {
+      photosZipped: entries.length,
+      photosFailed: failedPhotos.length,
+      failedPhotos,
+      filename
+    });
+    await uploadDone;
+    const sizeBytes = archiveCounter.bytes;
+    console.log(`[ZIP] ✓ Archive created successfully, size: ${(sizeBytes / 1024 / 1024).toFixed(2)} MB`);
+    emitProgress('uploaded', { filename });
     
     // 6. Generate signed URL for download (valid for 7 days)
     console.log(`[STORAGE] Generating signed URL (valid for 7 days)`);
-    const [signedUrl] = await file.getSignedUrl({
-      action: 'read',
-      expires: Date.now() + 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+    const signedUrlExpiresAt = new Date(Date.now() + SIGNED_URL_TTL_MS).toISOString();
+    const signedUrl = await storage.getDownloadUrl(filename, SIGNED_URL_TTL_MS);
     
     console.log(`[STORAGE] ✓ Signed URL generated successfully`);
+    emitProgress('ready', { signedUrl });
     console.log(`[STORAGE]   URL: ${signedUrl.substring(0, 80)}...`);
     
-    // Store the filename for this tags combination
-    zipFilesStore.set(tags, filename);
-    console.log(`[CACHE] Stored filename "${filename}" for tags "${tags}"`);
-    
     // 7. Save data to Firebase Realtime Database
-    const storagePath = `gs://${bucketName}/${filename}`;
-    const photoLinks = photosToZip.map(photo => photo.media.m);
+    const storagePath = storage.getStoragePath(filename);
+    const photoLinks = entries.map(entry => entry.photo.media[size]);
     
+    const owners = await getArchiveOwners(jobId, uid);
+
     console.log(`[FIREBASE] Saving zip data to Firebase Realtime Database`);
-    console.log(`[FIREBASE] - Path: /${prenom}/<timestamp>/${filename}`);
+    console.log(`[FIREBASE] - Path: /zips/${uid}/<timestamp>/${filename}`);
     console.log(`[FIREBASE] - Photos count: ${photoLinks.length}`);
     
-    await saveZipDataToFirebase(prenom, filename, signedUrl, storagePath, photoLinks);
-    console.log(`[FIREBASE] ✓ Zip data saved successfully for user "${prenom}"`);
+    for (const owner of owners) {
+      await saveZipDataToFirebase(owner, filename, signedUrl, storagePath, photoLinks, {
+        size,
+        format,
+        sizeBytes,
+        failedPhotos,
+        cacheKey,
+        // the storage object stays until none of them has it in their history
+        sharedWith: owners.filter(other => other !== owner)
+      });
+      console.log(`[FIREBASE] ✓ Zip data saved successfully for user "${owner}"`);
+    }
 
-    console.log(`\n[ZIP_JOB] ✓ Job completed successfully for tags: "${tags}", user: "${prenom}"\n`);
+    // Archives of the first photos of a search are shared through the zip cache
+    if (cacheKey) {
+      await setCachedZip(cacheKey, {
+        filename,
+        storagePath,
+        signedUrl,
+        signedUrlExpiresAt,
+        tags,
+        photoCount: entries.length,
+        photoLinks,
+        sizeBytes,
+        // users the storage object belongs to, see isAlreadyBuilt
+        owners
+      });
+      await releaseInFlightJob(cacheKey, jobId);
+    }
+
+    await updateStatus('done', { signedUrl, sizeBytes });
+    await releaseQuotaSlot(uid, jobId);
+
+    console.log(`\n[ZIP_JOB] ✓ Job completed successfully for tags: "${tags}", user: "${uid}"\n`);
     return signedUrl;
     
   } catch (error) {
-    console.error(`\n[ZIP_JOB] ✗ Error processing zip job for tags "${tags}", user "${prenom}":`, error.message);
+    console.error(`\n[ZIP_JOB] ✗ Error processing zip job for tags "${tags}", user "${uid}":`, error.message);
     console.error(`[ZIP_JOB] ✗ Error details:`, error);
-    
+    // the message handler retries or gives up, and records it on the job
     throw error;
   }
 }
 
-// Helper function to add files to zip
-function addFilesToZip(zip, photos) {
-  return new Promise((resolve, reject) => {
-    let index = 0;
-    
-    function addNextFile() {
-      if (index >= photos.length) {
-        zip.finalize();
-        console.log(`[ZIP] ✓ All files added, finalizing archive`);
-        resolve();
-        return;
-      }
-      
-      const photo = photos[index];
-      const filename = `photo-${index + 1}-${photo.title.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 50)}.jpg`;
-      
-      console.log(`[ZIP] Adding file ${index + 1}/${photos.length}: ${filename}`);
-      
-      const stream = request(photo.media.m);
-      
-      zip.entry(stream, { name: filename }, (err) => {
-        if (err) {
-          console.error(`[ZIP] ✗ Error adding file ${filename}:`, err.message);
-          reject(err);
-          return;
-        }
-        index++;
-        addNextFile();
-      });
+// Pass-through stream counting the bytes of the archive
+function createByteCounter() {
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      counter.bytes += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  counter.bytes = 0;
+  return counter;
+}
+
+// Helper function to add files to the archive
+// Resolves with the added files ({ filename, photo, bytes, sha256 }) and the
+// photos that could not be downloaded ({ index, photo, reason }). Stops, and
+// rejects, once signal is aborted.
+async function addFilesToZip(archive, photos, size, onProgress = () => {}, signal = null) {
+  const entries = [];
+  let failedCount = 0;
+
+  const failures = await fetchPhotosInOrder(photos, size, async (photo, buffer, index) => {
+    const extension = path.extname(photo.media[size].split('?')[0]) || '.jpg';
+    const filename = `photo-${index + 1}-${photo.title.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 50)}${extension}`;
+
+    console.log(`[ZIP] Adding file ${index + 1}/${photos.length}: ${filename}`);
+
+    try {
+      await archive.addEntry(buffer, filename);
+    } catch (err) {
+      console.error(`[ZIP] ✗ Error adding file ${filename}:`, err.message);
+      throw err;
+    }
+
+    entries.push({
+      filename,
+      photo,
+      bytes: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+    });
+    onProgress(entries.length, failedCount, filename);
+  }, {
+    signal,
+    onFailure: () => {
+      failedCount++;
+      onProgress(entries.length, failedCount, null);
     }
-    
-    addNextFile();
   });
+
+  console.log(`[ZIP] ✓ ${entries.length} files added, ${failures.length} skipped`);
+  return { entries, failures };
+}
+
+
+/**
+ * A redelivered message, or one whose archive was built meanwhile, completes
+ * its job without building the archive again
+ * @returns {Promise<boolean>} true when there is nothing left to do
+ */
+async function isAlreadyBuilt({ idempotencyKey, jobId, cacheKey, uid, photos = [], size = 'm', format = 'zip' }) {
+  const job = idempotencyKey ? await getJob(idempotencyKey) : null;
+  if (job && job.status === 'done') {
+    console.log(`[PUBSUB] ⚠ Job ${idempotencyKey} is already done, skipping duplicate message`);
+    return true;
+  }
+
+  const cached = cacheKey ? await getCachedZip(cacheKey) : null;
+  if (cached && jobId) {
+    console.log(`[CACHE] ✓ Archive "${cached.filename}" already built, completing job ${jobId}`);
+    await releaseInFlightJob(cacheKey, jobId);
+
+    // Saved to the history of everyone on the job, like a built archive
+    await shareCachedZip(cacheKey, cached, await getArchiveOwners(jobId, uid), {
+      size,
+      format,
+      photoLinks: photos.map(photo => photo.media[size])
+    });
+
+    await updateJob(jobId, { filename: cached.filename });
+    emitJobEvent(jobId, 'ready', { signedUrl: cached.signedUrl });
+    await setJobStatus(jobId, 'done', { signedUrl: cached.signedUrl, cached: true });
+    await releaseQuotaSlot(uid, jobId);
+    return true;
+  }
+  return false;
 }
 
+// Requeue a failed message, or dead-letter it once it has used up its attempts
+async function handleFailedDelivery(message, messageData, error) {
+  const attempt = deadLetters.getDeliveryAttempt(message);
+  const { jobId } = messageData;
+
+  if (!deadLetters.hasExhaustedAttempts(attempt)) {
+    if (jobId) {
+      await updateJob(jobId, { attempts: attempt, lastError: error.message }).catch(() => {});
+      emitJobEvent(jobId, 'retrying', {
+        attempt,
+        maxAttempts: deadLetters.MAX_DELIVERY_ATTEMPTS,
+        error: error.message
+      });
+    }
+    // Nack the message to requeue it
+    message.nack();
+    console.log(`[PUBSUB] ⟲ Message ${message.id} requeued for retry (attempt ${attempt}/${deadLetters.MAX_DELIVERY_ATTEMPTS})`);
+    return;
+  }
+
+  try {
+    await deadLetters.deadLetterMessage(message, messageData, { attempts: attempt, error: error.message });
+  } catch (deadLetterError) {
+    // keep the message rather than lose it
+    console.error(`[DEAD_LETTER] ✗ Could not dead-letter message ${message.id}:`, deadLetterError.message);
+    message.nack();
+    return;
+  }
+
+  if (jobId) {
+    await setJobStatus(jobId, 'failed', {
+      attempts: attempt,
+      deadLettered: true,
+      error: `Gave up after ${attempt} attempts: ${error.message}`
+    }).catch(statusError => {
+      console.error(`[ZIP_JOB] ✗ Could not record failure on job "${jobId}":`, statusError.message);
+    });
+  }
+  if (messageData.cacheKey && jobId) {
+    // identical requests may start a new job
+    await releaseInFlightJob(messageData.cacheKey, jobId);
+  }
+  await releaseQuotaSlot(messageData.uid, jobId);
+  deadLetters.forgetDeliveryAttempts(message);
+  message.ack();
+  console.log(`[PUBSUB] ✗ Message ${message.id} dead-lettered after ${attempt} attempts`);
+}
 
 async function listenForMessages(subscriptionNameOrId) {
-  // Get or create the subscription
   const topicName = process.env.TOPIC_NAME;
-  const topic = pubSubClient.topic(topicName);
-  
-  let subscription = topic.subscription(subscriptionNameOrId);
-  const [subscriptionExists] = await subscription.exists();
-  
-  if (!subscriptionExists) {
-    console.log(`[PUBSUB] Subscription ${subscriptionNameOrId} does not exist. Creating it...`);
-    [subscription] = await topic.createSubscription(subscriptionNameOrId);
-    console.log(`[PUBSUB] ✓ Subscription ${subscriptionNameOrId} created successfully`);
-  } else {
-    console.log(`[PUBSUB] ✓ Using existing subscription: ${subscriptionNameOrId}`);
-  }
 
   // Create an event handler to handle messages
   const messageHandler = async (message) => {
@@ -210,9 +404,9 @@ async function listenForMessages(subscriptionNameOrId) {
       console.log(`[PUBSUB] Attributes:`, message.attributes);
     }
     
+    let messageData = {};
     try {
       const dataString = message.data.toString();
-      let messageData;
       
       // Try to parse as JSON, if it fails, treat as plain text
       try {
@@ -227,29 +421,33 @@ async function listenForMessages(subscriptionNameOrId) {
       if (messageData.tags && messageData.requestType === 'zip') {
         console.log(`[PUBSUB] → Routing to ZIP job handler`);
         
-        // Extract prenom from message data
-        const prenom = messageData.prenom;
+        // Extract the Firebase Auth uid from message data
+        const uid = messageData.uid;
         
-        if (!prenom) {
-          console.error(`[PUBSUB] ✗ Message does not contain prenom - skipping processing`);
+        if (!uid) {
+          console.error(`[PUBSUB] ✗ Message does not contain uid - skipping processing`);
+          if (messageData.jobId) {
+            await setJobStatus(messageData.jobId, 'failed', { error: 'Message does not contain uid' });
+          }
           message.ack();
           return;
         }
         
-        await processZipJob(messageData.tags, prenom);
+        if (!(await isAlreadyBuilt(messageData))) {
+          await processZipJob(messageData);
+        }
       } else {
         console.log(`[PUBSUB] ⚠ Message does not contain tags or is not a zip request - skipping processing`);
       }
       
       // "Ack" (acknowledge receipt of) the message
+      deadLetters.forgetDeliveryAttempts(message);
       message.ack();
       console.log(`[PUBSUB] ✓ Message ${message.id} acknowledged`);
       console.log(`[PUBSUB] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
     } catch (error) {
       console.error(`[PUBSUB] ✗ Error processing message ${message.id}:`, error.message);
-      // Nack the message to requeue it
-      message.nack();
-      console.log(`[PUBSUB] ⟲ Message ${message.id} requeued for retry`);
+      await handleFailedDelivery(message, messageData, error);
     }
   };
 
@@ -258,9 +456,8 @@ async function listenForMessages(subscriptionNameOrId) {
     console.error('[PUBSUB] ✗ Error receiving message:', error.message);
   };
 
-  // Listen for new messages continuously
-  subscription.on('message', messageHandler);
-  subscription.on('error', errorHandler);
+  // Listen for new messages continuously, whatever the queue backend
+  await subscribe(subscriptionNameOrId, messageHandler, errorHandler, topicName);
 
   console.log(`\n[PUBSUB] 👂 Listening for messages on subscription: ${subscriptionNameOrId}`);
   console.log(`[PUBSUB] 📡 Topic: ${topicName}`);
@@ -283,9 +480,7 @@ function startListener() {
 // Export for use in server.js
 module.exports = {
   listenForMessages,
-  startListener,
-  zipFilesStore,
-  storage
+  startListener
 };
 
 // Allow direct execution for testing
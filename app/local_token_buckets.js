@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * In-process token buckets, used by the rate limiter while Redis is down.
+ * Each instance of the app keeps its own buckets. Only the `maxKeys` most
+ * recently used ones are kept: a Map iterates in insertion order, so a bucket
+ * is moved to the end on each use and the first one is the least recent.
+ */
+function createLocalTokenBuckets({ maxKeys = 10000 } = {}) {
+  const buckets = new Map();
+
+  /**
+   * Same result as the Redis script of the rate limiter
+   * @returns {Object} { allowed, tokens }
+   */
+  function consume(key, policy, now = Date.now()) {
+    let tokens = policy.capacity;
+    let lastRefill = now;
+
+    const bucket = buckets.get(key);
+    if (bucket) {
+      lastRefill = Math.max(now, bucket.lastRefill);
+      const elapsed = (lastRefill - bucket.lastRefill) / 1000;
+      tokens = Math.min(bucket.tokens + elapsed * policy.refillRate, policy.capacity);
+      buckets.delete(key);
+    }
+
+    const allowed = tokens >= policy.cost;
+    if (allowed) {
+      tokens -= policy.cost;
+    }
+
+    buckets.set(key, { tokens, lastRefill });
+    if (buckets.size > maxKeys) {
+      buckets.delete(buckets.keys().next().value);
+    }
+
+    return { allowed, tokens };
+  }
+
+  return {
+    consume,
+    get size() {
+      return buckets.size;
+    },
+    clear: () => buckets.clear()
+  };
+}
+
+module.exports = {
+  createLocalTokenBuckets
+};
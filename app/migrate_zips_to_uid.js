@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * One-off migration: move the zip history stored under /<prenom>/... to
+ * /zips/<uid>/...
+ *
+ * The prenom was the first word of the Google displayName, so each prenom is
+ * matched against the Firebase Auth users. A prenom shared by several users
+ * cannot be attributed automatically: pass an explicit mapping for it.
+ *
+ * Usage:
+ *   node app/migrate_zips_to_uid.js [--dry-run] [Marie=<uid> ...]
+ */
+
+const { firebaseAdminApp, db, ZIPS_ROOT } = require('./firebase');
+
+// Time slots written by saveZipDataToFirebase, e.g. 12-42-32-003
+const TIME_SLOT_REGEX = /^\d{2}-\d{2}-\d{2}-\d{3}$/;
+
+function getPrenom(displayName) {
+  return displayName ? displayName.split(' ')[0] : 'Unknown';
+}
+
+/**
+ * Build a prenom -> [uid] index of every Firebase Auth user
+ */
+async function indexUsersByPrenom() {
+  const usersByPrenom = new Map();
+  let pageToken;
+
+  do {
+    const result = await firebaseAdminApp.auth().listUsers(1000, pageToken);
+    result.users.forEach(user => {
+      const prenom = getPrenom(user.displayName);
+      const uids = usersByPrenom.get(prenom) || [];
+      uids.push(user.uid);
+      usersByPrenom.set(prenom, uids);
+    });
+    pageToken = result.pageToken;
+  } while (pageToken);
+
+  return usersByPrenom;
+}
+
+/**
+ * A legacy node is a root key whose children are all time slots
+ */
+function isLegacyZipNode(key, value) {
+  if (key === ZIPS_ROOT || !value || typeof value !== 'object') {
+    return false;
+  }
+  const children = Object.keys(value);
+  return children.length > 0 && children.every(child => TIME_SLOT_REGEX.test(child));
+}
+
+function parseMappings(args) {
+  const mappings = new Map();
+  args
+    .filter(arg => arg.indexOf('=') > 0)
+    .forEach(arg => {
+      const [prenom, uid] = arg.split('=');
+      mappings.set(prenom, uid);
+    });
+  return mappings;
+}
+
+async function migrateZipsToUid({ dryRun = false, mappings = new Map() } = {}) {
+  if (!db || !firebaseAdminApp) {
+    throw new Error('Firebase is not configured (GOOGLE_APPLICATION_CREDENTIALS)');
+  }
+
+  console.log(`[MIGRATION] Starting prenom → uid migration${dryRun ? ' (dry run)' : ''}`);
+
+  const usersByPrenom = await indexUsersByPrenom();
+  const snapshot = await db.ref().once('value');
+  const root = snapshot.val() || {};
+  const report = { migrated: [], skipped: [] };
+
+  for (const prenom of Object.keys(root)) {
+    if (!isLegacyZipNode(prenom, root[prenom])) {
+      continue;
+    }
+
+    const candidates = usersByPrenom.get(prenom) || [];
+    const uid = mappings.get(prenom) || (candidates.length === 1 ? candidates[0] : null);
+
+    if (!uid) {
+      const reason = candidates.length === 0 ? 'no matching user' : `${candidates.length} users share this prenom`;
+      console.warn(`[MIGRATION] ⚠ Skipping /${prenom}: ${reason}`);
+      report.skipped.push({ prenom, reason, candidates });
+      continue;
+    }
+
+    // Merge time slot by time slot so existing uid data is kept
+    const updates = {};
+    Object.keys(root[prenom]).forEach(timeSlot => {
+      Object.keys(root[prenom][timeSlot]).forEach(fileKey => {
+        updates[`${ZIPS_ROOT}/${uid}/${timeSlot}/${fileKey}`] = root[prenom][timeSlot][fileKey];
+      });
+    });
+    updates[prenom] = null;
+
+    console.log(`[MIGRATION] /${prenom} → /${ZIPS_ROOT}/${uid} (${Object.keys(updates).length - 1} entries)`);
+
+    if (!dryRun) {
+      await db.ref().update(updates);
+    }
+    report.migrated.push({ prenom, uid });
+  }
+
+  console.log(`[MIGRATION] ✓ Done: ${report.migrated.length} migrated, ${report.skipped.length} skipped`);
+  return report;
+}
+
+module.exports = {
+  isLegacyZipNode,
+  migrateZipsToUid
+};
+
+// Allow direct execution as a one-off command
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  migrateZipsToUid({
+    dryRun: args.indexOf('--dry-run') !== -1,
+    mappings: parseMappings(args)
+  })
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('[MIGRATION] ✗ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
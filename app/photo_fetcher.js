@@ -0,0 +1,233 @@
+'use strict';
+
+const photoModel = require('./photo_model');
+
+// Downloads in flight at once, and time allowed for each one
+const DEFAULT_CONCURRENCY = Number(process.env.PHOTO_FETCH_CONCURRENCY) || 4;
+const DEFAULT_TIMEOUT_MS = Number(process.env.PHOTO_FETCH_TIMEOUT_MS) || 30000;
+
+// Attempts per photo, waiting RETRY_BASE_DELAY_MS * 2^n between them
+const DEFAULT_ATTEMPTS = Number(process.env.PHOTO_FETCH_ATTEMPTS) || 3;
+const RETRY_BASE_DELAY_MS = 500;
+
+// Longest Retry-After a throttling server gets us to wait
+const MAX_RETRY_AFTER_MS = 30000;
+
+// Larger files are not images we want in an archive
+const MAX_PHOTO_BYTES = Number(process.env.PHOTO_MAX_BYTES) || 20 * 1024 * 1024;
+
+/**
+ * Error that retrying will not fix (bad content type, too large, 4xx other
+ * than 429)
+ */
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+function stopStream(stream) {
+  // request streams are aborted, file streams destroyed
+  if (typeof stream.abort === 'function') {
+    stream.abort();
+  } else if (typeof stream.destroy === 'function') {
+    stream.destroy();
+  }
+}
+
+/**
+ * Delay asked by a Retry-After header (seconds or HTTP date), in ms
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const delayMs = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isNaN(delayMs) ? null : Math.min(Math.max(delayMs, 0), MAX_RETRY_AFTER_MS);
+}
+
+/**
+ * Check the HTTP response of a remote photo before reading its body
+ * @returns {Error|null}
+ */
+function validateResponse(response, maxBytes) {
+  const contentType = response.headers['content-type'] || '';
+  const contentLength = Number(response.headers['content-length']);
+
+  // throttled or unavailable: worth another attempt
+  if (response.statusCode === 429 || response.statusCode >= 500) {
+    const error = new Error(`HTTP ${response.statusCode}`);
+    error.retryAfterMs = parseRetryAfter(response.headers['retry-after']);
+    return error;
+  }
+  if (response.statusCode !== 200) {
+    return permanentError(`HTTP ${response.statusCode}`);
+  }
+  if (!/^image\//.test(contentType)) {
+    return permanentError(`Unexpected content type "${contentType}"`);
+  }
+  if (contentLength > maxBytes) {
+    return permanentError(`Image too large (${contentLength} bytes)`);
+  }
+  return null;
+}
+
+/**
+ * Download one photo into memory, failing after timeoutMs or once signal
+ * (an AbortSignal) is aborted
+ * @returns {Promise<Buffer>}
+ */
+function fetchPhoto(photo, size, { timeoutMs = DEFAULT_TIMEOUT_MS, maxBytes = MAX_PHOTO_BYTES, signal = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    let stream;
+    try {
+      stream = photoModel.openPhotoStream(photo, size);
+    } catch (error) {
+      reject(permanentError(error.message));
+      return;
+    }
+
+    const chunks = [];
+    let bytes = 0;
+    let settled = false;
+
+    const onAbort = () => fail(signal.reason);
+    const settle = () => {
+      settled = true;
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    const fail = error => {
+      if (settled) return;
+      settle();
+      stopStream(stream);
+      reject(error);
+    };
+
+    const timer = setTimeout(() => {
+      fail(new Error(`Timed out after ${timeoutMs}ms fetching ${photo.media[size]}`));
+    }, timeoutMs);
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    // only remote photos have an HTTP response
+    stream.on('response', response => {
+      const error = validateResponse(response, maxBytes);
+      if (error) fail(error);
+    });
+    stream.on('data', chunk => {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        fail(permanentError(`Image too large (over ${maxBytes} bytes)`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('error', fail);
+    stream.on('end', () => {
+      if (settled) return;
+      if (bytes === 0) {
+        fail(permanentError('Empty image'));
+        return;
+      }
+      settle();
+      resolve(Buffer.concat(chunks));
+    });
+  });
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * fetchPhoto, retried with exponential backoff unless the error is permanent.
+ * A Retry-After sent with the error is waited for when it is longer.
+ */
+async function fetchPhotoWithRetry(photo, size, options = {}) {
+  const attempts = options.attempts || DEFAULT_ATTEMPTS;
+  const baseDelayMs = options.retryDelayMs === undefined ? RETRY_BASE_DELAY_MS : options.retryDelayMs;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fetchPhoto(photo, size, options);
+    } catch (error) {
+      if (error.permanent || attempt >= attempts || (options.signal && options.signal.aborted)) {
+        throw error;
+      }
+      const delay = Math.max(baseDelayMs * Math.pow(2, attempt - 1), error.retryAfterMs || 0);
+      console.warn(`[FETCH] ⟲ Attempt ${attempt}/${attempts} failed for ${photo.media[size]} (${error.message}), retrying in ${delay}ms`);
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Fetch photos with at most `concurrency` downloads in flight and hand them
+ * to onPhoto(photo, buffer, index) one at a time, in order. Archives need
+ * their entries in sequence, so later photos are prefetched meanwhile.
+ * Photos that cannot be downloaded are skipped and reported to onFailure.
+ * Once options.signal is aborted no download starts, those in flight are
+ * stopped and the promise rejects with the reason of the signal.
+ * @returns {Promise<Array>} { index, photo, reason } for each skipped photo
+ */
+async function fetchPhotosInOrder(photos, size, onPhoto, options = {}) {
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const onFailure = options.onFailure || (() => {});
+  const downloads = [];
+  const failures = [];
+
+  const startDownload = index => {
+    downloads[index] = fetchPhotoWithRetry(photos[index], size, options);
+    // failures surface when the download is awaited, in order
+    downloads[index].catch(() => {});
+  };
+
+  for (let index = 0; index < Math.min(concurrency, photos.length); index++) {
+    startDownload(index);
+  }
+
+  for (let index = 0; index < photos.length; index++) {
+    let buffer = null;
+    try {
+      buffer = await downloads[index];
+    } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        throw options.signal.reason;
+      }
+      console.error(`[FETCH] ✗ Skipping photo ${index + 1} (${photos[index].media[size]}): ${error.message}`);
+      failures.push({ index, photo: photos[index], reason: error.message });
+      onFailure(photos[index], index, error);
+    }
+    downloads[index] = null;
+
+    if (options.signal && options.signal.aborted) {
+      throw options.signal.reason;
+    }
+    if (index + concurrency < photos.length) {
+      startDownload(index + concurrency);
+    }
+
+    if (buffer) {
+      await onPhoto(photos[index], buffer, index);
+    }
+  }
+
+  return failures;
+}
+
+module.exports = {
+  fetchPhoto,
+  fetchPhotoWithRetry,
+  fetchPhotosInOrder
+};
@@ -1,24 +1,154 @@
-const got = require('got');
-const querystring = require('querystring');
-const jsonpHelper = require('./jsonp_helper');
+const request = require('request');
+const flickrSource = require('./photo_sources/flickr');
+const {
+  createLocalDirectorySource
+} = require('./photo_sources/local_directory');
 
-function getFlickrPhotos(tags, tagmode) {
-  const qs = querystring.stringify({ tags, tagmode, format: 'json' });
+const DEFAULT_SOURCE = 'flickr';
+const DEFAULT_PER_PAGE = 20;
+
+// upper bound of source requests made to fill one page
+const MAX_SOURCE_REQUESTS = 5;
+
+// Available providers, each exposing search(tags, tagmode, options)
+// resolving to normalized photo objects, and optionally batchSize: the most
+// photos one search returns
+const photoSources = {
+  flickr: flickrSource
+};
+
+if (process.env.LOCAL_PHOTOS_DIR) {
+  photoSources.local = createLocalDirectorySource(process.env.LOCAL_PHOTOS_DIR, {
+    author: process.env.LOCAL_PHOTOS_AUTHOR
+  });
+}
+
+function hasPhotoSource(name) {
+  return Object.prototype.hasOwnProperty.call(photoSources, name);
+}
+
+function listPhotoSources() {
+  return Object.keys(photoSources);
+}
+
+function getPhotoSource(name = DEFAULT_SOURCE) {
+  if (!hasPhotoSource(name)) {
+    throw new Error(`Unknown photo source: ${name}`);
+  }
+  return photoSources[name];
+}
+
+function searchPhotos(tags, tagmode, options = {}) {
+  try {
+    return getPhotoSource(options.source).search(tags, tagmode, options);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+}
 
-  const options = `https://api.flickr.com/services/feeds/photos_public.gne?${qs}`;
+/**
+ * Sources may return a different window of photos on each request (the
+ * Flickr feed moves), so results are fetched until isEnough(photos), and
+ * deduped by link. A batch shorter than a full one means the source has no
+ * more photos, and so does a batch with nothing new: fetching stops there.
+ */
+async function collectPhotos(tags, tagmode, options, isEnough) {
+  const photos = [];
+  const seenLinks = new Set();
+  const fullBatch = Math.min(options.limit || Infinity, getPhotoSource(options.source).batchSize || Infinity);
 
-  return got.default.get(options).then(response => {
-    const photoFeed = jsonpHelper.parseJSONP(response.body);
+  for (let attempt = 0; attempt < MAX_SOURCE_REQUESTS && !isEnough(photos); attempt++) {
+    const batch = await searchPhotos(tags, tagmode, options);
+    const countBefore = photos.length;
 
-    photoFeed.items.forEach(photo => {
-      photo.media.t = photo.media.m.split('m.jpg')[0] + 't.jpg';
-      photo.media.b = photo.media.m.split('m.jpg')[0] + 'b.jpg';
+    batch.forEach(photo => {
+      if (!seenLinks.has(photo.link)) {
+        seenLinks.add(photo.link);
+        photos.push(photo);
+      }
     });
 
-    return photoFeed.items;
-  });
+    if (photos.length === countBefore || batch.length < fullBatch) {
+      break;
+    }
+  }
+
+  return photos;
+}
+
+// One page of search results
+async function fetchPhotoPage(tags, tagmode, options = {}) {
+  const page = Number(options.page) || 1;
+  const perPage = Number(options.perPage) || DEFAULT_PER_PAGE;
+  // one extra photo tells whether there is a next page
+  const wanted = page * perPage + 1;
+
+  const photos = await collectPhotos(
+    tags,
+    tagmode,
+    Object.assign({}, options, { limit: wanted }),
+    collected => collected.length >= wanted
+  );
+  const start = (page - 1) * perPage;
+
+  return {
+    photos: photos.slice(start, start + perPage),
+    page,
+    perPage,
+    hasPreviousPage: page > 1,
+    hasNextPage: photos.length > start + perPage
+  };
+}
+
+/**
+ * Resolve photo links picked by the user back to photo objects, in the
+ * order of the links. Links no longer returned by the source are "missing".
+ */
+async function findPhotosByLink(tags, tagmode, links, options = {}) {
+  const wanted = new Set(links);
+  const isEnough = collected =>
+    collected.filter(photo => wanted.has(photo.link)).length === wanted.size;
+
+  const photos = await collectPhotos(
+    tags,
+    tagmode,
+    Object.assign({}, options, { limit: Number.MAX_SAFE_INTEGER }),
+    isEnough
+  );
+  const photosByLink = new Map(photos.map(photo => [photo.link, photo]));
+
+  return {
+    photos: links.filter(link => photosByLink.has(link)).map(link => photosByLink.get(link)),
+    missing: links.filter(link => !photosByLink.has(link))
+  };
+}
+
+function getFlickrPhotos(tags, tagmode) {
+  return searchPhotos(tags, tagmode, { source: 'flickr' });
+}
+
+/**
+ * Readable stream of a photo at the given size (t, m or b). Providers can
+ * read their photos directly, otherwise the media URL is downloaded.
+ * Photos without a source come from the Flickr feed.
+ */
+function openPhotoStream(photo, size = 'm') {
+  const source = getPhotoSource(photo.source);
+
+  if (source.openPhotoStream) {
+    return source.openPhotoStream(photo, size);
+  }
+  return request(photo.media[size]);
 }
 
 module.exports = {
-  getFlickrPhotos
+  DEFAULT_SOURCE,
+  hasPhotoSource,
+  listPhotoSources,
+  DEFAULT_PER_PAGE,
+  searchPhotos,
+  fetchPhotoPage,
+  findPhotosByLink,
+  getFlickrPhotos,
+  openPhotoStream
 };
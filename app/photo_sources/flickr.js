@@ -0,0 +1,69 @@
+const got = require('got');
+const querystring = require('querystring');
+const jsonpHelper = require('../jsonp_helper');
+
+const FEED_URL = 'https://api.flickr.com/services/feeds/photos_public.gne';
+
+function normalizePhoto(item) {
+  return {
+    title: item.title,
+    link: item.link,
+    media: {
+      t: item.media.m.split('m.jpg')[0] + 't.jpg',
+      m: item.media.m,
+      b: item.media.m.split('m.jpg')[0] + 'b.jpg'
+    },
+    date_taken: item.date_taken,
+    description: item.description,
+    published: item.published,
+    author: item.author,
+    author_id: item.author_id,
+    tags: item.tags
+  };
+}
+
+// number of items the public feed returns per request
+const FEED_SIZE = 20;
+
+// tags fetched on their own by an "any" search, on top of the search itself
+const MAX_TAG_FEEDS = 5;
+
+function fetchFeed(tags, tagmode) {
+  const qs = querystring.stringify({ tags, tagmode, format: 'json' });
+
+  return got.default.get(`${FEED_URL}?${qs}`).then(response => {
+    const photoFeed = jsonpHelper.parseJSONP(response.body);
+    return photoFeed.items.map(normalizePhoto);
+  });
+}
+
+/**
+ * Flickr public feed: one request returns the latest matching photos. The
+ * feed has no paging, so when more than FEED_SIZE photos are wanted for an
+ * "any" search, the first MAX_TAG_FEEDS tags are also fetched on their own
+ * and the results merged.
+ */
+function search(tags, tagmode, options = {}) {
+  const tagList = (tags || '')
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(tag => tag.length > 0);
+  const limit = options.limit || FEED_SIZE;
+
+  if (tagmode !== 'any' || tagList.length < 2 || limit <= FEED_SIZE) {
+    return fetchFeed(tags, tagmode);
+  }
+
+  return Promise.all(
+    [fetchFeed(tags, tagmode)].concat(tagList.slice(0, MAX_TAG_FEEDS).map(tag => fetchFeed(tag, 'any')))
+  ).then(feeds =>
+    [].concat(...feeds).sort((a, b) => (a.published < b.published ? 1 : -1))
+  );
+}
+
+module.exports = {
+  name: 'flickr',
+  // a shorter feed has no more photos to give
+  batchSize: FEED_SIZE,
+  search
+};
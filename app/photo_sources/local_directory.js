@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+// Express route serving the files of the directory (see server.js)
+const LOCAL_PHOTOS_ROUTE = '/local-photos';
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+function splitTags(tags) {
+  return (tags || '')
+    .split(',')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(tag => tag.length > 0);
+}
+
+// Every image under the directory, as paths relative to it
+function listImages(directory, subdirectory = '') {
+  const entries = fs.readdirSync(path.join(directory, subdirectory), {
+    withFileTypes: true
+  });
+
+  return entries.reduce((images, entry) => {
+    const relativePath = path.posix.join(subdirectory, entry.name);
+    if (entry.isDirectory()) {
+      return images.concat(listImages(directory, relativePath));
+    }
+    if (IMAGE_EXTENSIONS.indexOf(path.extname(entry.name).toLowerCase()) !== -1) {
+      images.push(relativePath);
+    }
+    return images;
+  }, []);
+}
+
+/**
+ * Photo source serving images from a local folder, useful for offline demos
+ * and tests. Folder and file names act as tags: "beach/sunset-1.jpg" matches
+ * "beach" and "sunset".
+ */
+function createLocalDirectorySource(directory, { author = 'local' } = {}) {
+  const root = path.resolve(directory);
+
+  function toPhoto(relativePath) {
+    const url = `${LOCAL_PHOTOS_ROUTE}/${relativePath
+      .split('/')
+      .map(encodeURIComponent)
+      .join('/')}`;
+    const words = relativePath.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    const stats = fs.statSync(path.join(root, relativePath));
+
+    return {
+      title: path.basename(relativePath, path.extname(relativePath)),
+      link: url,
+      // the original file is the only size available
+      media: { t: url, m: url, b: url },
+      date_taken: stats.mtime.toISOString(),
+      description: '',
+      published: stats.mtime.toISOString(),
+      author: author,
+      author_id: author,
+      tags: words.join(' '),
+      source: 'local'
+    };
+  }
+
+  function search(tags, tagmode = 'all') {
+    const wantedTags = splitTags(tags);
+
+    return new Promise(resolve => {
+      const photos = listImages(root)
+        .sort()
+        .filter(relativePath => {
+          const words = relativePath.toLowerCase().split(/[^a-z0-9]+/);
+          const hasTag = tag => words.indexOf(tag) !== -1;
+          return tagmode === 'any'
+            ? wantedTags.some(hasTag)
+            : wantedTags.every(hasTag);
+        })
+        .map(toPhoto);
+
+      resolve(photos);
+    });
+  }
+
+  // Read the file directly instead of going through the HTTP route
+  function openPhotoStream(photo) {
+    const relativePath = decodeURIComponent(
+      photo.media.m.slice(LOCAL_PHOTOS_ROUTE.length + 1)
+    );
+    const filePath = path.resolve(root, relativePath);
+
+    if (filePath.indexOf(root + path.sep) !== 0) {
+      throw new Error(`Photo is outside the local photos directory: ${relativePath}`);
+    }
+
+    return fs.createReadStream(filePath);
+  }
+
+  return {
+    name: 'local',
+    directory: root,
+    search,
+    openPhotoStream
+  };
+}
+
+module.exports = {
+  LOCAL_PHOTOS_ROUTE,
+  createLocalDirectorySource
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const DEFAULT_BACKEND = 'pubsub';
+
+// Available backends, each exposing publish(topic, data, subscription) and
+// subscribe(topic, subscription, onMessage, onError)
+const queueBackends = {
+  pubsub: () => require('./queues/pubsub').createPubSubQueue(),
+  memory: () => require('./queues/memory').createMemoryQueue()
+};
+
+let queue = null;
+
+/**
+ * The backend chosen by QUEUE_BACKEND (pubsub or memory), created once
+ */
+function getQueue() {
+  if (!queue) {
+    const backend = process.env.QUEUE_BACKEND || DEFAULT_BACKEND;
+    if (!Object.prototype.hasOwnProperty.call(queueBackends, backend)) {
+      throw new Error(`Unknown queue backend: ${backend}`);
+    }
+    queue = queueBackends[backend]();
+    console.log(`[QUEUE] Using ${queue.name} backend`);
+  }
+  return queue;
+}
+
+function sendMessage(
+  messageData,
+  topicName = process.env.TOPIC_NAME,
+  subscriptionName = process.env.SUBSCRIPTION_NAME
+) {
+  return getQueue().publish(topicName, messageData, subscriptionName);
+}
+
+function subscribe(subscriptionName, onMessage, onError, topicName = process.env.TOPIC_NAME) {
+  return getQueue().subscribe(topicName, subscriptionName, onMessage, onError);
+}
+
+module.exports = {
+  getQueue,
+  sendMessage,
+  subscribe
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+// Wait before a nacked message is delivered again
+const REDELIVERY_DELAY_MS = Number(process.env.QUEUE_REDELIVERY_DELAY_MS) || 1000;
+
+/**
+ * In-process backend, for running the app without Google Cloud. Messages
+ * only reach a worker running in the same process (see server.js) and are
+ * lost on restart.
+ *
+ * Messages handed to onMessage look like Pub/Sub ones:
+ * { id, data, attributes, deliveryAttempt, publishTime, ack(), nack() }
+ */
+function createMemoryQueue({ redeliveryDelayMs = REDELIVERY_DELAY_MS } = {}) {
+  // topic -> subscription name -> { pending, onMessage }
+  const topics = new Map();
+  let nextMessageId = 1;
+
+  function getSubscription(topicName, subscriptionName) {
+    if (!topics.has(topicName)) {
+      topics.set(topicName, new Map());
+    }
+    const subscriptions = topics.get(topicName);
+    if (!subscriptions.has(subscriptionName)) {
+      subscriptions.set(subscriptionName, { pending: [], onMessage: null });
+    }
+    return subscriptions.get(subscriptionName);
+  }
+
+  function deliver(subscription, record) {
+    if (!subscription.onMessage) {
+      // kept until a worker subscribes
+      subscription.pending.push(record);
+      return;
+    }
+
+    let settled = false;
+    const message = {
+      id: record.id,
+      data: record.data,
+      attributes: {},
+      deliveryAttempt: record.deliveryAttempt,
+      publishTime: record.publishTime,
+      ack: () => {
+        settled = true;
+      },
+      nack: () => {
+        if (settled) return;
+        settled = true;
+        const retry = Object.assign({}, record, { deliveryAttempt: record.deliveryAttempt + 1 });
+        setTimeout(() => deliver(subscription, retry), redeliveryDelayMs);
+      }
+    };
+
+    // asynchronous, like a real broker
+    setImmediate(() => subscription.onMessage(message));
+  }
+
+  async function publish(topicName, messageData, subscriptionName) {
+    const record = {
+      id: `local-${nextMessageId++}`,
+      data: Buffer.from(JSON.stringify(messageData)),
+      deliveryAttempt: 1,
+      publishTime: new Date()
+    };
+
+    // the publisher's subscription exists even before the worker listens
+    getSubscription(topicName, subscriptionName);
+    topics.get(topicName).forEach(subscription => deliver(subscription, record));
+
+    console.log(`📤 Message ${record.id} published successfully (in-memory queue)`);
+    return record.id;
+  }
+
+  async function subscribe(topicName, subscriptionName, onMessage) {
+    const subscription = getSubscription(topicName, subscriptionName);
+    subscription.onMessage = onMessage;
+
+    const pending = subscription.pending.splice(0);
+    pending.forEach(record => deliver(subscription, record));
+  }
+
+  return {
+    name: 'memory',
+    publish,
+    subscribe
+  };
+}
+
+module.exports = {
+  createMemoryQueue
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+// Imports the Google Cloud client library
+const {PubSub} = require('@google-cloud/pubsub');
+const { getAuthClient } = require('../auth');
+
+/**
+ * Google Cloud Pub/Sub backend. Topics and subscriptions are created on the
+ * fly the first time they are used.
+ */
+function createPubSubQueue() {
+  // Listener client; the publisher authenticates with the service account key
+  const pubSubClient = new PubSub({
+    projectId: process.env.PROJECT_ID
+  });
+
+  async function getOrCreateTopic(pubsub, topicNameOrId) {
+    let topic = pubsub.topic(topicNameOrId);
+    const [topicExists] = await topic.exists();
+
+    if (!topicExists) {
+      [topic] = await pubsub.createTopic(topicNameOrId);
+      console.log(`Topic ${topic.name} created.`);
+    } else {
+      console.log(`Using existing topic: ${topicNameOrId}`);
+    }
+    return topic;
+  }
+
+  async function getOrCreateSubscription(topic, subscriptionName) {
+    let subscription = topic.subscription(subscriptionName);
+    const [subscriptionExists] = await subscription.exists();
+
+    if (!subscriptionExists) {
+      [subscription] = await topic.createSubscription(subscriptionName);
+      console.log(`Subscription ${subscriptionName} created.`);
+    } else {
+      console.log(`Using existing subscription: ${subscriptionName}`);
+    }
+    return subscription;
+  }
+
+  async function publish(topicNameOrId, messageData, subscriptionName) {
+    // Instantiates a client with explicit authentication
+    const pubsub = new PubSub({
+      projectId: process.env.PROJECT_ID,
+      authClient: getAuthClient()
+    });
+
+    const topic = await getOrCreateTopic(pubsub, topicNameOrId);
+    // so messages published before the worker starts are kept
+    await getOrCreateSubscription(topic, subscriptionName);
+
+    // Convert message data to JSON string and then to Buffer
+    const dataBuffer = Buffer.from(JSON.stringify(messageData));
+
+    // Send a message to the topic
+    const messageId = await topic.publishMessage({data: dataBuffer});
+    console.log(`📤 Message ${messageId} published successfully`);
+
+    return messageId;
+  }
+
+  async function subscribe(topicNameOrId, subscriptionName, onMessage, onError) {
+    const topic = pubSubClient.topic(topicNameOrId);
+    const subscription = await getOrCreateSubscription(topic, subscriptionName);
+
+    subscription.on('message', onMessage);
+    subscription.on('error', onError);
+  }
+
+  return {
+    name: 'pubsub',
+    publish,
+    subscribe
+  };
+}
+
+module.exports = {
+  createPubSubQueue
+};
@@ -0,0 +1,172 @@
+'use strict';
+
+const dotenv = require('dotenv');
+const { getZipDataByUid } = require('./firebase');
+const { getDataStore } = require('./data_store');
+
+dotenv.config();
+
+// Jobs unfinished after this long are considered lost, not running
+const STALE_JOB_MS = 60 * 60 * 1000;
+
+// Usage always lives in the data store: counters kept in Redis while it is
+// up would reset or split during an outage. Per user: day -> job count, and
+// running -> { running job id: start time }
+const QUOTA_USAGE_ROOT = 'quotaUsage';
+
+function getQuotaPolicy(env = process.env) {
+  return {
+    jobsPerDay: Number(env.QUOTA_JOBS_PER_DAY) || 20,
+    concurrentJobs: Number(env.QUOTA_CONCURRENT_JOBS) || 2,
+    storedBytes: Number(env.QUOTA_STORED_BYTES) || 500 * 1024 * 1024
+  };
+}
+
+// Daily counts reset at midnight UTC
+function getDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function getNextReset(now) {
+  const reset = new Date(now);
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+async function getDailyJobCount(uid, now) {
+  return (await getDataStore().get(`${QUOTA_USAGE_ROOT}/${uid}/${getDay(now)}`)) || 0;
+}
+
+// Running jobs of a record, stale ones dropped
+function pruneRunningJobs(running, now) {
+  const active = {};
+  Object.keys(running || {}).forEach(jobId => {
+    if (now - running[jobId] < STALE_JOB_MS) {
+      active[jobId] = running[jobId];
+    }
+  });
+  return active;
+}
+
+async function getRunningJobCount(uid, now) {
+  const running = await getDataStore().get(`${QUOTA_USAGE_ROOT}/${uid}/running`);
+  return Object.keys(pruneRunningJobs(running, now)).length;
+}
+
+/**
+ * Count one more job today, unless the limit is reached. It is done in one
+ * atomic step, so parallel requests cannot all pass.
+ * @returns {Promise<boolean>} false when the limit is reached
+ */
+async function takeDailyJob(uid, limit, now) {
+  const result = await getDataStore().transaction(`${QUOTA_USAGE_ROOT}/${uid}/${getDay(now)}`, count => {
+    if ((count || 0) >= limit) {
+      return; // abort: limit reached
+    }
+    return (count || 0) + 1;
+  });
+  return result.committed;
+}
+
+async function refundDailyJob(uid, now) {
+  await getDataStore().transaction(`${QUOTA_USAGE_ROOT}/${uid}/${getDay(now)}`, count => Math.max((count || 0) - 1, 0));
+}
+
+/**
+ * Record a running job, unless the user already runs `limit` of them
+ * @returns {Promise<boolean>} false when the limit is reached
+ */
+async function addRunningJob(uid, jobId, limit, now) {
+  const result = await getDataStore().transaction(`${QUOTA_USAGE_ROOT}/${uid}/running`, running => {
+    const active = pruneRunningJobs(running, now);
+    if (Object.keys(active).length >= limit) {
+      return; // abort: limit reached
+    }
+    active[jobId] = now;
+    return active;
+  });
+  return result.committed;
+}
+
+async function removeRunningJob(uid, jobId) {
+  await getDataStore().remove(`${QUOTA_USAGE_ROOT}/${uid}/running/${jobId}`);
+}
+
+async function getStoredBytes(uid) {
+  const zips = (await getZipDataByUid(uid)) || {};
+  let bytes = 0;
+  Object.keys(zips).forEach(timeSlot => {
+    Object.keys(zips[timeSlot] || {}).forEach(zipId => {
+      bytes += zips[timeSlot][zipId].sizeBytes || 0;
+    });
+  });
+  return bytes;
+}
+
+function describeAllowance(limit, used, resetsAt) {
+  return {
+    limit,
+    used,
+    remaining: Math.max(limit - used, 0),
+    resetsAt
+  };
+}
+
+/**
+ * Usage of the user against each quota. Running jobs and stored bytes go
+ * down as jobs finish and archives are deleted, they have no reset time.
+ */
+async function getQuotaUsage(uid, { policy = getQuotaPolicy(), now = Date.now() } = {}) {
+  const [jobsToday, runningJobs, storedBytes] = await Promise.all([
+    getDailyJobCount(uid, now),
+    getRunningJobCount(uid, now),
+    getStoredBytes(uid)
+  ]);
+
+  return {
+    jobsPerDay: describeAllowance(policy.jobsPerDay, jobsToday, getNextReset(now).toISOString()),
+    concurrentJobs: describeAllowance(policy.concurrentJobs, runningJobs, null),
+    storedBytes: describeAllowance(policy.storedBytes, storedBytes, null)
+  };
+}
+
+/**
+ * Take a job slot for jobId: one of today's jobs and one running job. Call
+ * releaseJobSlot when the job ends, or with refund when it never ran.
+ * @returns {Promise<Object>} { allowed, exceeded (name of the quota or null), usage }
+ */
+async function reserveJobSlot(uid, jobId, { policy = getQuotaPolicy(), now = Date.now() } = {}) {
+  let exceeded = null;
+
+  if ((await getStoredBytes(uid)) >= policy.storedBytes) {
+    exceeded = 'storedBytes';
+  } else if (!(await takeDailyJob(uid, policy.jobsPerDay, now))) {
+    exceeded = 'jobsPerDay';
+  } else if (!(await addRunningJob(uid, jobId, policy.concurrentJobs, now))) {
+    await refundDailyJob(uid, now);
+    exceeded = 'concurrentJobs';
+  }
+
+  if (!exceeded) {
+    return { allowed: true, exceeded: null, usage: null };
+  }
+  return { allowed: false, exceeded, usage: await getQuotaUsage(uid, { policy, now }) };
+}
+
+/**
+ * Free the running slot of a job. With refund, the job does not count
+ * against today's quota either (it was never queued).
+ */
+async function releaseJobSlot(uid, jobId, { refund = false, now = Date.now() } = {}) {
+  await removeRunningJob(uid, jobId);
+  if (refund) {
+    await refundDailyJob(uid, now);
+  }
+}
+
+module.exports = {
+  getQuotaPolicy,
+  getQuotaUsage,
+  reserveJobSlot,
+  releaseJobSlot
+};
@@ -0,0 +1,33 @@
+/**
+ * Rate limit policies (token buckets), one per group of routes.
+ *
+ * capacity: tokens in a full bucket
+ * refillRate: tokens added per second
+ * cost: tokens taken by one request
+ *
+ * Override them with a file named by RATE_LIMIT_CONFIG (JSON or JS, same
+ * shape), or field by field with RATE_LIMIT_<POLICY>_<FIELD>, e.g.
+ * RATE_LIMIT_ZIP_CAPACITY=20 or RATE_LIMIT_PHOTOS_API_REFILL_RATE=5.
+ */
+
+module.exports = {
+  policies: {
+    // POST /zip: one archive every 10 seconds
+    zip: { capacity: 10, refillRate: 1, cost: 10 },
+    // GET / (search page)
+    search: { capacity: 30, refillRate: 1, cost: 1 },
+    // GET /api/photos
+    photosApi: { capacity: 60, refillRate: 2, cost: 1 },
+    // /api/zips and /api/me
+    zipsApi: { capacity: 30, refillRate: 1, cost: 1 },
+    // GET /job-status/:jobId and GET /jobs/:id/events, polled while a job runs
+    jobs: { capacity: 60, refillRate: 2, cost: 1 },
+    // failed sign-ins on every signed-in route, per IP: requests whose ID
+    // token is missing or rejected (see authRateLimiter in route.js)
+    auth: { capacity: 60, refillRate: 1, cost: 1 }
+  },
+
+  // Internal clients never limited: IP addresses, or "uid:<uid>"
+  // (RATE_LIMIT_ALLOWLIST adds comma-separated entries)
+  allowlist: []
+};
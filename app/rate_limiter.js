@@ -1,252 +1,415 @@
 /**
  * Token Bucket Rate Limiter
- * Algorithme du token bucket pour limiter les requêtes par IP
+ * Algorithme du token bucket pour limiter les requêtes par utilisateur (uid) ou par IP
  * Utilise Redis pour stocker les buckets de tokens (compatible avec scalabilité horizontale)
  */
 
-const { createClient } = require('redis');
+const path = require('path');
+const { redisClient, isRedisConnected, closeRedisConnection } = require('./redis_client');
+const defaultConfig = require('./rate_limit_policies');
+const { createLocalTokenBuckets } = require('./local_token_buckets');
+const { loadClientIpConfig, resolveClientIp, getBucketAddress } = require('./client_ip');
 require('dotenv').config();
 
-// Configuration
-const TOKENS_PER_SECOND = 1;
-const MAX_TOKENS = 10;
-const TOKEN_COST = 10;
+const POLICY_FIELDS = {
+  capacity: 'CAPACITY',
+  refillRate: 'REFILL_RATE',
+  cost: 'COST'
+};
+
+// photosApi -> PHOTOS_API
+function toEnvName(policyName) {
+  return policyName.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Policies and allowlist: rate_limit_policies.js, then the RATE_LIMIT_CONFIG
+ * file, then RATE_LIMIT_* environment variables
+ */
+function loadRateLimitConfig(env = process.env) {
+  const fileConfig = env.RATE_LIMIT_CONFIG ? require(path.resolve(env.RATE_LIMIT_CONFIG)) : {};
+  const policies = {};
+
+  const policyNames = new Set(
+    Object.keys(defaultConfig.policies).concat(Object.keys(fileConfig.policies || {}))
+  );
+  policyNames.forEach(name => {
+    const policy = Object.assign(
+      {},
+      defaultConfig.policies[name],
+      (fileConfig.policies || {})[name]
+    );
+    Object.keys(POLICY_FIELDS).forEach(field => {
+      const value = Number(env[`RATE_LIMIT_${toEnvName(name)}_${POLICY_FIELDS[field]}`]);
+      if (value > 0) {
+        policy[field] = value;
+      }
+    });
+    policies[name] = policy;
+  });
+
+  const allowlist = (defaultConfig.allowlist || [])
+    .concat(fileConfig.allowlist || [])
+    .concat((env.RATE_LIMIT_ALLOWLIST || '').split(',').map(entry => entry.trim()))
+    .filter(entry => entry.length > 0);
+
+  return { policies, allowlist: new Set(allowlist) };
+}
+
+const rateLimitConfig = loadRateLimitConfig();
+const clientIpConfig = loadClientIpConfig();
+
+// Buckets used while Redis is down, so the limits still hold (per instance)
+const localBuckets = createLocalTokenBuckets({
+  maxKeys: Number(process.env.RATE_LIMIT_LOCAL_MAX_KEYS) || 10000
+});
+
+// 'redis' or 'memory', null until the first limited request
+let limiterMode = null;
 
 console.log('[Rate Limiter] Configuration:', {
-  tokensPerSecond: TOKENS_PER_SECOND,
-  maxTokens: MAX_TOKENS,
-  tokenCost: TOKEN_COST,
+  policies: rateLimitConfig.policies,
+  allowlist: rateLimitConfig.allowlist.size,
+  trustedProxies: clientIpConfig.hops > 0 ? `${clientIpConfig.hops} hop(s)` : process.env.TRUSTED_PROXIES || 'none',
+  trustedProxyHeader: clientIpConfig.header,
   redisHost: process.env.REDIS_HOST,
   redisPort: process.env.REDIS_PORT,
   redisUsername: process.env.REDIS_USERNAME ? '***' : 'undefined',
   redisPassword: process.env.REDIS_PASSWORD ? '***' : 'undefined'
 });
 
-// Configuration Redis
-const redisClient = createClient({
-  username: process.env.REDIS_USERNAME,
-  password: process.env.REDIS_PASSWORD,
-  socket: {
-    host: process.env.REDIS_HOST,
-    port: process.env.REDIS_PORT
+// Resolved once per request: the identity and the allowlist both need it
+const resolvedIps = new WeakMap();
+
+function getClientIP(req) {
+  if (resolvedIps.has(req)) {
+    return resolvedIps.get(req);
   }
-});
 
-// Gestion des événements Redis
-redisClient.on('error', (err) => {
-  console.error('[Redis] Client Error:', err.message);
-  console.error('[Redis] Full error:', err);
-});
-redisClient.on('connect', () => {
-  console.log('[Redis] Connected to Redis');
-  console.log('[Redis] Connection details:', {
-    host: process.env.REDIS_HOST,
-    port: process.env.REDIS_PORT
-  });
-});
-redisClient.on('ready', () => console.log('[Redis] Client ready'));
-redisClient.on('reconnecting', () => console.log('[Redis] Reconnecting...'));
-redisClient.on('end', () => console.log('[Redis] Connection ended'));
-
-// Connexion à Redis
-let isRedisConnected = false;
-console.log('[Redis] Attempting to connect...');
-redisClient.connect().then(() => {
-  isRedisConnected = true;
-  console.log('[Redis] Connection established successfully');
-}).catch(err => {
-  console.error('[Redis] Failed to connect:', err.message);
-  console.error('[Redis] Full error:', err);
-  console.warn('[Rate Limiter] WARNING: Will run in fallback mode (no rate limiting)');
-});
+  const ip = resolveClientIp(req, clientIpConfig);
 
-function getClientIP(req) {
-  const forwardedFor = req.headers['x-forwarded-for'];
-  const remoteAddress = req.socket.remoteAddress;
-  const ip = forwardedFor || remoteAddress || null;
-  
   console.log('[Rate Limiter] Getting client IP:', {
-    'x-forwarded-for': forwardedFor,
-    'socket.remoteAddress': remoteAddress,
+    'x-forwarded-for': req.headers['x-forwarded-for'],
+    forwarded: req.headers.forwarded,
+    'socket.remoteAddress': req.socket && req.socket.remoteAddress,
     'resolved IP': ip
   });
-  
+
+  resolvedIps.set(req, ip);
   return ip;
 }
 
-async function getBucketFromRedis(ip) {
-  if (!isRedisConnected) {
-    console.warn(`[Rate Limiter] WARNING: Redis not connected, returning null bucket for IP: ${ip}`);
+/**
+ * Default bucket key: the signed-in user (requireAuth ran before), else the
+ * IP, or its IPv6 subnet (see client_ip.js)
+ */
+function getRequestIdentity(req) {
+  if (req.user && req.user.uid) {
+    return `uid:${req.user.uid}`;
+  }
+  const ip = getClientIP(req);
+  return ip ? `ip:${getBucketAddress(ip, clientIpConfig.ipv6Prefix)}` : null;
+}
+
+function isAllowlisted(req, identity, allowlist) {
+  if (allowlist.size === 0) {
+    return false;
+  }
+  if (allowlist.has(identity)) {
+    return true;
+  }
+  const ip = getClientIP(req);
+  return ip !== null && allowlist.has(ip);
+}
+
+async function getBucketFromRedis(key) {
+  if (!isRedisConnected()) {
+    console.warn(`[Rate Limiter] WARNING: Redis not connected, returning null bucket for ${key}`);
     return null;
   }
-  
+
   try {
-    console.log(`[Redis] Getting bucket for IP: ${ip}`);
-    const bucketData = await redisClient.get(`rate_limit:${ip}`);
-    
+    const bucketData = await redisClient.get(`rate_limit:${key}`);
+
     if (bucketData) {
-      const parsedBucket = JSON.parse(bucketData);
-      console.log(`[Redis] Bucket found for IP ${ip}:`, parsedBucket);
-      return parsedBucket;
+      return JSON.parse(bucketData);
     } else {
-      console.log(`[Redis] No bucket found for IP ${ip} (new IP)`);
+      console.log(`[Redis] No bucket found for ${key} (new client)`);
       return null;
     }
   } catch (error) {
-    console.error(`[Redis] ERROR: Failed to get bucket for IP ${ip}:`, error.message);
+    console.error(`[Redis] ERROR: Failed to get bucket for ${key}:`, error.message);
     console.error('[Redis] Full error:', error);
     return null;
   }
 }
 
-async function saveBucketToRedis(ip, bucket) {
-  if (!isRedisConnected) {
-    console.warn(`[Rate Limiter] WARNING: Redis not connected, cannot save bucket for IP: ${ip}`);
-    return;
+/**
+ * Refill and consume in one step: Redis runs the script atomically, so two
+ * concurrent requests cannot both spend the same tokens.
+ * KEYS[1] bucket, ARGV capacity, refillRate (per second), cost, now (ms), ttl (s)
+ * Returns { allowed (0 or 1), tokens left (string, Redis truncates numbers) }
+ */
+const CONSUME_TOKENS_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillRate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+
+local tokens = capacity
+local lastRefill = now
+local data = redis.call('GET', KEYS[1])
+if data then
+  local bucket = cjson.decode(data)
+  lastRefill = math.max(now, bucket.lastRefill)
+  local elapsed = (lastRefill - bucket.lastRefill) / 1000
+  tokens = math.min(bucket.tokens + elapsed * refillRate, capacity)
+end
+
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+
+redis.call('SET', KEYS[1], cjson.encode({ tokens = tokens, lastRefill = lastRefill }), 'EX', tonumber(ARGV[5]))
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Where buckets are kept right now. Going back to Redis drops the local
+ * buckets, the next outage starts from full ones.
+ */
+function getLimiterMode() {
+  const mode = isRedisConnected() ? 'redis' : 'memory';
+
+  if (mode !== limiterMode) {
+    if (mode === 'memory') {
+      console.warn('[Rate Limiter] ⚠ Redis not connected, limiting with in-memory buckets');
+    } else {
+      if (limiterMode) {
+        console.log('[Rate Limiter] ⟲ Redis connected again, back to Redis buckets');
+      }
+      localBuckets.clear();
+    }
+    limiterMode = mode;
   }
-  
+  return mode;
+}
+
+/**
+ * Rate limiter state for the health check
+ */
+function getRateLimiterStatus() {
+  return {
+    mode: getLimiterMode(),
+    localBuckets: localBuckets.size
+  };
+}
+
+// Buckets expire after 1 hour of inactivity
+const BUCKET_TTL_SECONDS = 3600;
+
+/**
+ * @returns {Promise<Object|null>} { allowed, tokens }, null when Redis failed
+ */
+async function consumeTokens(key, policy) {
   try {
-    console.log(`[Redis] Saving bucket for IP ${ip}:`, bucket);
-    // Expire après 1 heure d'inactivité
-    await redisClient.setEx(
-      `rate_limit:${ip}`,
-      3600,
-      JSON.stringify(bucket)
-    );
-    console.log(`[Redis] Bucket saved successfully for IP ${ip}`);
+    const [allowed, tokens] = await redisClient.eval(CONSUME_TOKENS_SCRIPT, {
+      keys: [`rate_limit:${key}`],
+      arguments: [
+        String(policy.capacity),
+        String(policy.refillRate),
+        String(policy.cost),
+        String(Date.now()),
+        String(BUCKET_TTL_SECONDS)
+      ]
+    });
+    return { allowed: allowed === 1, tokens: Number(tokens) };
   } catch (error) {
-    console.error(`[Redis] ERROR: Failed to save bucket for IP ${ip}:`, error.message);
-    console.error('[Redis] Full error:', error);
+    console.error(`[Redis] ERROR: Failed to consume tokens for ${key}:`, error.message);
+    return null;
   }
 }
 
-async function calculateAvailableTokens(ip) {
+// Read-only view of a bucket, for getBucketStats
+async function calculateAvailableTokens(key, policy) {
   const now = Date.now();
-  
-  const bucket = await getBucketFromRedis(ip);
-  
+
+  const bucket = await getBucketFromRedis(key);
+
   if (!bucket) {
-    console.log(`[Rate Limiter] Creating new bucket for IP ${ip} with ${MAX_TOKENS} tokens`);
     return {
       lastRefill: now,
-      tokens: MAX_TOKENS
+      tokens: policy.capacity
     };
   }
 
   const timeDiff = (now - bucket.lastRefill) / 1000;
-  const tokensToAdd = timeDiff * TOKENS_PER_SECOND;
-  const availableTokens = Math.min(bucket.tokens + tokensToAdd, MAX_TOKENS);
-  
-  console.log(`[Rate Limiter] Token calculation for IP ${ip}:`, {
-    timeSinceLastRefill: `${timeDiff.toFixed(2)}s`,
-    tokensToAdd: tokensToAdd.toFixed(2),
-    previousTokens: bucket.tokens.toFixed(2),
-    availableTokens: availableTokens.toFixed(2),
-    maxTokens: MAX_TOKENS
-  });
-  
+  const tokensToAdd = timeDiff * policy.refillRate;
+  const availableTokens = Math.min(bucket.tokens + tokensToAdd, policy.capacity);
+
   return {
     lastRefill: bucket.lastRefill,
     tokens: availableTokens
   };
 }
 
-async function rateLimiter(req, res, next) {
-  console.log('[Rate Limiter] Middleware triggered');
-  console.log('[Rate Limiter] Request details:', {
-    method: req.method,
-    path: req.path,
-    url: req.url
+/**
+ * IETF RateLimit headers, counted in requests: a request costs `cost` tokens.
+ * RateLimit-Reset is the number of seconds until the bucket is full again.
+ */
+function setRateLimitHeaders(res, policy, tokens) {
+  res.set({
+    'RateLimit-Limit': String(Math.floor(policy.capacity / policy.cost)),
+    'RateLimit-Remaining': String(Math.floor(tokens / policy.cost)),
+    'RateLimit-Reset': String(Math.ceil((policy.capacity - tokens) / policy.refillRate))
   });
-  
-  const ip = getClientIP(req);
-  
-  if (!ip) {
-    console.warn('[Rate Limiter] WARNING: Unable to determine client IP, allowing request');
-    return next();
-  }
+}
 
-  // Si Redis n'est pas connecté, on laisse passer (fallback gracieux)
-  if (!isRedisConnected) {
-    console.warn(`[Rate Limiter] WARNING: Redis not connected, allowing request from IP ${ip} (fallback mode)`);
-    return next();
+/**
+ * Take the tokens of a request, or give them back with a negative cost
+ * @returns {Promise<Object>} { allowed, tokens }
+ */
+async function takeTokens(bucketKey, policy) {
+  let result = null;
+  if (getLimiterMode() === 'redis') {
+    result = await consumeTokens(bucketKey, policy);
   }
+  // Redis down or the script failed: the local bucket decides
+  return result || localBuckets.consume(bucketKey, policy);
+}
 
-  console.log(`[Rate Limiter] Checking rate limit for IP: ${ip}`);
-  const now = Date.now();
-  const { tokens } = await calculateAvailableTokens(ip);
-  
-  console.log(`[Rate Limiter] Token check for IP ${ip}: Available=${tokens.toFixed(2)}, Required=${TOKEN_COST}`);
-  
-  if (tokens >= TOKEN_COST) {
-    const remainingTokens = tokens - TOKEN_COST;
-    
-    // Sauvegarder le bucket dans Redis avec le timestamp actuel
-    await saveBucketToRedis(ip, {
-      lastRefill: now,
-      tokens: remainingTokens
-    });
-    
-    console.log(`[Rate Limiter] Request ALLOWED for IP ${ip} - Remaining tokens: ${remainingTokens.toFixed(2)}`);
-    return next();
-  } else {
-    // Mettre à jour le bucket avec l'état actuel même en cas de refus
-    await saveBucketToRedis(ip, {
-      lastRefill: now,
-      tokens: tokens
-    });
-    
-    const tokensNeeded = TOKEN_COST - tokens;
-    const waitTimeSeconds = Math.ceil(tokensNeeded / TOKENS_PER_SECOND);
-    
-    console.log(`[Rate Limiter] Request DENIED for IP ${ip}:`, {
+/**
+ * Token bucket middleware
+ * @param {Object} options
+ * @param {string} options.name - policy name, buckets are separate per policy
+ * @param {number} options.capacity - tokens in a full bucket
+ * @param {number} options.refillRate - tokens added per second
+ * @param {number} options.cost - tokens taken by one request
+ * @param {Function} [options.key] - (req) => identity of the bucket, uid or IP by default
+ * @param {Set} [options.allowlist] - IPs and "uid:<uid>" never limited
+ * @param {Function} [options.chargeIf] - (req, res) => whether the response
+ *   costs the tokens. They are taken before the request, so a burst cannot
+ *   get past the limit, and given back once the response does not match.
+ */
+function createRateLimiter({
+  name = 'default',
+  capacity,
+  refillRate,
+  cost = 1,
+  key = getRequestIdentity,
+  allowlist = rateLimitConfig.allowlist,
+  chargeIf = null
+}) {
+  const policy = { capacity, refillRate, cost };
+
+  return async function rateLimiter(req, res, next) {
+    const identity = key(req);
+
+    if (!identity) {
+      console.warn(`[Rate Limiter] WARNING: Unable to identify client for ${req.method} ${req.path}, allowing request`);
+      return next();
+    }
+
+    if (isAllowlisted(req, identity, allowlist)) {
+      return next();
+    }
+
+    const bucketKey = `${name}:${identity}`;
+    const result = await takeTokens(bucketKey, policy);
+
+    const { tokens } = result;
+    setRateLimitHeaders(res, policy, tokens);
+
+    if (result.allowed) {
+      console.log(`[Rate Limiter] [${name}] Request ALLOWED for ${identity} - Remaining tokens: ${tokens.toFixed(2)}`);
+      if (chargeIf) {
+        let settled = false;
+        const settle = () => {
+          if (!settled && !chargeIf(req, res)) {
+            takeTokens(bucketKey, Object.assign({}, policy, { cost: -cost }));
+          }
+          settled = true;
+        };
+        res.once('finish', settle);
+        res.once('close', settle);
+      }
+      return next();
+    }
+
+    const tokensNeeded = cost - tokens;
+    const waitTimeSeconds = Math.ceil(tokensNeeded / refillRate);
+
+    console.log(`[Rate Limiter] [${name}] Request DENIED for ${identity}:`, {
       available: tokens.toFixed(2),
-      required: TOKEN_COST,
-      needed: tokensNeeded.toFixed(2),
+      required: cost,
       waitTime: `${waitTimeSeconds}s`
     });
-    
-    return res.status(429).json({
-      error: 'Too Many Requests',
-      message: `Rate limit exceeded. Please wait ${waitTimeSeconds} second(s) before trying again.`,
+
+    return sendTooManyRequests(req, res, {
+      detail: `Rate limit exceeded. Please wait ${waitTimeSeconds} second(s) before trying again.`,
       retryAfter: waitTimeSeconds,
-      availableTokens: tokens.toFixed(2),
-      requiredTokens: TOKEN_COST
+      policy: name
     });
-  }
+  };
 }
 
-async function getBucketStats(ip) {
-  const { lastRefill, tokens } = await calculateAvailableTokens(ip);
-  return {
-    ip,
-    availableTokens: tokens.toFixed(2),
-    maxTokens: MAX_TOKENS,
-    tokensPerSecond: TOKENS_PER_SECOND,
-    tokenCost: TOKEN_COST,
-    lastRefill: new Date(lastRefill).toISOString()
-  };
+/**
+ * 429 as RFC 7807 problem details, the one shape of every denial (rate
+ * limits, quotas). retryAfter (seconds, or null when waiting does not help)
+ * is also sent as Retry-After; the other fields are extension members.
+ * @param {Object} problem - detail, retryAfter and extension members
+ */
+function sendTooManyRequests(req, res, problem) {
+  const { detail, retryAfter = null } = problem;
+  if (retryAfter !== null) {
+    res.set('Retry-After', String(retryAfter));
+  }
+  res.set('Content-Type', 'application/problem+json');
+  return res.status(429).json(Object.assign({
+    type: 'about:blank',
+    title: 'Too Many Requests',
+    status: 429,
+    detail,
+    instance: req.originalUrl
+  }, problem, { retryAfter }));
 }
 
 /**
- * Ferme proprement la connexion Redis
+ * Limiter of a policy of the configuration (see rate_limit_policies.js)
  */
-async function closeRedisConnection() {
-  if (isRedisConnected) {
-    console.log('[Redis] Closing connection...');
-    await redisClient.quit();
-    isRedisConnected = false;
-    console.log('[Redis] Connection closed successfully');
-  } else {
-    console.log('[Redis] Connection already closed');
+function createPolicyRateLimiter(policyName, options = {}) {
+  const policy = rateLimitConfig.policies[policyName];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${policyName}`);
   }
+  return createRateLimiter(Object.assign({ name: policyName }, policy, options));
 }
 
+async function getBucketStats(identity, policyName = 'zip') {
+  const policy = rateLimitConfig.policies[policyName];
+  const { lastRefill, tokens } = await calculateAvailableTokens(`${policyName}:${identity}`, policy);
+  return {
+    identity,
+    policy: policyName,
+    availableTokens: tokens.toFixed(2),
+    maxTokens: policy.capacity,
+    tokensPerSecond: policy.refillRate,
+    tokenCost: policy.cost,
+    lastRefill: new Date(lastRefill).toISOString()
+  };
+}
 
 module.exports = {
-  rateLimiter,
+  loadRateLimitConfig,
+  createRateLimiter,
+  createPolicyRateLimiter,
+  sendTooManyRequests,
   getClientIP,
+  getRequestIdentity,
   getBucketStats,
+  getRateLimiterStatus,
   closeRedisConnection,
   redisClient
 };
@@ -0,0 +1,78 @@
+/**
+ * Shared Redis connection (rate limiter, zip cache)
+ */
+
+const { createClient } = require('redis');
+require('dotenv').config();
+
+// Configuration Redis
+const redisClient = createClient({
+  username: process.env.REDIS_USERNAME,
+  password: process.env.REDIS_PASSWORD,
+  socket: {
+    host: process.env.REDIS_HOST,
+    port: process.env.REDIS_PORT
+  }
+});
+
+// Gestion des événements Redis
+redisClient.on('error', (err) => {
+  console.error('[Redis] Client Error:', err.message);
+  console.error('[Redis] Full error:', err);
+});
+redisClient.on('connect', () => {
+  console.log('[Redis] Connected to Redis');
+  console.log('[Redis] Connection details:', {
+    host: process.env.REDIS_HOST,
+    port: process.env.REDIS_PORT
+  });
+});
+// Connexion à Redis
+let redisConnected = false;
+
+// Follows the connection, so callers fall back while the client reconnects
+redisClient.on('ready', () => {
+  redisConnected = true;
+  console.log('[Redis] Client ready');
+});
+redisClient.on('reconnecting', () => {
+  redisConnected = false;
+  console.log('[Redis] Reconnecting...');
+});
+redisClient.on('end', () => {
+  redisConnected = false;
+  console.log('[Redis] Connection ended');
+});
+
+console.log('[Redis] Attempting to connect...');
+redisClient.connect().then(() => {
+  redisConnected = true;
+  console.log('[Redis] Connection established successfully');
+}).catch(err => {
+  console.error('[Redis] Failed to connect:', err.message);
+  console.error('[Redis] Full error:', err);
+});
+
+function isRedisConnected() {
+  return redisConnected;
+}
+
+/**
+ * Ferme proprement la connexion Redis
+ */
+async function closeRedisConnection() {
+  if (redisConnected) {
+    console.log('[Redis] Closing connection...');
+    await redisClient.quit();
+    redisConnected = false;
+    console.log('[Redis] Connection closed successfully');
+  } else {
+    console.log('[Redis] Connection already closed');
+  }
+}
+
+module.exports = {
+  redisClient,
+  isRedisConnected,
+  closeRedisConnection
+};
@@ -0,0 +1,222 @@
+'use strict';
+
+/**
+ * Retention policy of the zip history: archives older than
+ * RETENTION_MAX_AGE_DAYS, beyond the RETENTION_MAX_ARCHIVES_PER_USER most
+ * recent ones, or beyond RETENTION_MAX_BYTES_PER_USER per user are deleted
+ * (Firebase entry and storage object). Unset or 0 means no limit.
+ *
+ * Usage:
+ *   node app/retention.js [--dry-run]
+ */
+
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const { getAllZipData } = require('./firebase');
+const { getDataStore } = require('./data_store');
+const { deleteZip } = require('./zip_history');
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often the in-process sweeper runs, and how long after startup it
+// runs first (instances restarting more often than the interval still sweep)
+const DEFAULT_SWEEP_INTERVAL_MS = DAY_MS;
+const DEFAULT_FIRST_SWEEP_DELAY_MS = 60 * 1000;
+
+// One sweep at a time across instances and cron jobs. The lock expires on
+// its own if its holder dies mid-sweep.
+const SWEEP_LOCK_PATH = 'retentionSweepLock';
+const SWEEP_LOCK_TTL_MS = 60 * 60 * 1000;
+
+function getRetentionPolicy(env = process.env) {
+  return {
+    maxAgeDays: Number(env.RETENTION_MAX_AGE_DAYS) || 0,
+    maxArchivesPerUser: Number(env.RETENTION_MAX_ARCHIVES_PER_USER) || 0,
+    maxBytesPerUser: Number(env.RETENTION_MAX_BYTES_PER_USER) || 0
+  };
+}
+
+function hasRetentionLimits(policy) {
+  return policy.maxAgeDays > 0 || policy.maxArchivesPerUser > 0 || policy.maxBytesPerUser > 0;
+}
+
+/**
+ * Zips of one user to delete under the policy. The most recent archives are
+ * kept first.
+ * @param {Object} zips - time slot -> file key -> zip data
+ * @returns {Array} { id, timeSlot, zipData, reason }
+ */
+function selectExpiredZips(zips, policy, now = Date.now()) {
+  const entries = [];
+  Object.keys(zips || {}).forEach(timeSlot => {
+    Object.keys(zips[timeSlot] || {}).forEach(id => {
+      entries.push({ id, timeSlot, zipData: zips[timeSlot][id] });
+    });
+  });
+  entries.sort((a, b) => Date.parse(b.zipData.createdAt) - Date.parse(a.zipData.createdAt));
+
+  const expired = [];
+  let keptCount = 0;
+  let keptBytes = 0;
+
+  entries.forEach(entry => {
+    const ageMs = now - Date.parse(entry.zipData.createdAt);
+    const sizeBytes = entry.zipData.sizeBytes || 0;
+
+    if (policy.maxAgeDays > 0 && ageMs > policy.maxAgeDays * DAY_MS) {
+      expired.push(Object.assign({ reason: `older than ${policy.maxAgeDays} days` }, entry));
+    } else if (policy.maxArchivesPerUser > 0 && keptCount >= policy.maxArchivesPerUser) {
+      expired.push(Object.assign({ reason: `more than ${policy.maxArchivesPerUser} archives` }, entry));
+    } else if (policy.maxBytesPerUser > 0 && keptBytes + sizeBytes > policy.maxBytesPerUser) {
+      expired.push(Object.assign({ reason: `more than ${policy.maxBytesPerUser} bytes` }, entry));
+    } else {
+      keptCount++;
+      keptBytes += sizeBytes;
+    }
+  });
+
+  return expired;
+}
+
+/**
+ * @returns {Promise<boolean>} false when another sweep holds the lock
+ */
+async function acquireSweepLock(holder) {
+  const now = Date.now();
+  const lock = { holder, expiresAt: now + SWEEP_LOCK_TTL_MS };
+
+  const result = await getDataStore().transaction(SWEEP_LOCK_PATH, current => {
+    if (current && current.expiresAt > now) {
+      return; // abort: another sweep is running
+    }
+    return lock;
+  });
+  return result.committed;
+}
+
+async function releaseSweepLock(holder) {
+  try {
+    await getDataStore().transaction(SWEEP_LOCK_PATH, current => {
+      return current && current.holder === holder ? null : current;
+    });
+  } catch (error) {
+    // the lock expires on its own
+    console.error('[RETENTION] ✗ Could not release the sweep lock:', error.message);
+  }
+}
+
+/**
+ * Delete the archives the policy no longer keeps, or only list them. A sweep
+ * that finds another one running skips (dry runs delete nothing and do not
+ * need the lock).
+ * @returns {Promise<Object>} { dryRun, skipped, checked, deleted, freedBytes, errors }
+ */
+async function sweepExpiredZips({ dryRun = false, policy = getRetentionPolicy(), now = Date.now() } = {}) {
+  console.log(`[RETENTION] Starting sweep${dryRun ? ' (dry run)' : ''}:`, policy);
+
+  const report = { dryRun, skipped: false, checked: 0, deleted: [], freedBytes: 0, errors: [] };
+  if (!hasRetentionLimits(policy)) {
+    console.log('[RETENTION] No retention limit configured, nothing to do');
+    return report;
+  }
+
+  const lockHolder = dryRun ? null : crypto.randomUUID();
+  if (lockHolder && !(await acquireSweepLock(lockHolder))) {
+    console.log('[RETENTION] Another sweep is running, skipping');
+    report.skipped = true;
+    return report;
+  }
+
+  try {
+    await sweepAllUsers(report, policy, now);
+  } finally {
+    if (lockHolder) {
+      await releaseSweepLock(lockHolder);
+    }
+  }
+
+  console.log(
+    `[RETENTION] ✓ Sweep done: ${report.deleted.length} archive(s) ${dryRun ? 'to delete' : 'deleted'}, ` +
+      `${(report.freedBytes / 1024 / 1024).toFixed(2)} MB, ${report.errors.length} error(s)`
+  );
+  return report;
+}
+
+async function sweepAllUsers(report, policy, now) {
+  const { dryRun } = report;
+  const allZips = await getAllZipData();
+
+  for (const uid of Object.keys(allZips)) {
+    const expired = selectExpiredZips(allZips[uid], policy, now);
+    report.checked++;
+
+    for (const entry of expired) {
+      const sizeBytes = entry.zipData.sizeBytes || 0;
+      const description = `${uid}/${entry.id} (${entry.zipData.filename}, ${sizeBytes} bytes): ${entry.reason}`;
+
+      if (dryRun) {
+        console.log(`[RETENTION] Would delete ${description}`);
+      } else {
+        try {
+          await deleteZip(uid, entry.id);
+          console.log(`[RETENTION] ✓ Deleted ${description}`);
+        } catch (error) {
+          console.error(`[RETENTION] ✗ Could not delete ${uid}/${entry.id}:`, error.message);
+          report.errors.push({ uid, id: entry.id, error: error.message });
+          continue;
+        }
+      }
+      report.deleted.push({ uid, id: entry.id, filename: entry.zipData.filename, reason: entry.reason, sizeBytes });
+      report.freedBytes += sizeBytes;
+    }
+  }
+}
+
+/**
+ * Run the sweep inside the web process, when a limit is set: once shortly
+ * after startup, then periodically
+ * @returns {Function|null} call it to stop the sweeper
+ */
+function startRetentionSweeper(
+  intervalMs = Number(process.env.RETENTION_SWEEP_INTERVAL_MS) || DEFAULT_SWEEP_INTERVAL_MS,
+  firstSweepDelayMs = Number(process.env.RETENTION_FIRST_SWEEP_DELAY_MS) || DEFAULT_FIRST_SWEEP_DELAY_MS
+) {
+  if (!hasRetentionLimits(getRetentionPolicy())) {
+    return null;
+  }
+
+  console.log(`[RETENTION] Sweeper scheduled every ${Math.round(intervalMs / 60000)} min`);
+  const sweep = () => {
+    sweepExpiredZips().catch(error => {
+      console.error('[RETENTION] ✗ Sweep failed:', error.message);
+    });
+  };
+  const firstTimer = setTimeout(sweep, firstSweepDelayMs);
+  const timer = setInterval(sweep, intervalMs);
+  // never keep the process alive on their own
+  firstTimer.unref();
+  timer.unref();
+  return () => {
+    clearTimeout(firstTimer);
+    clearInterval(timer);
+  };
+}
+
+module.exports = {
+  getRetentionPolicy,
+  selectExpiredZips,
+  sweepExpiredZips,
+  startRetentionSweeper
+};
+
+// Allow direct execution as a command (e.g. from a cron job)
+if (require.main === module) {
+  sweepExpiredZips({ dryRun: process.argv.indexOf('--dry-run') !== -1 })
+    .then(report => process.exit(report.errors.length > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('[RETENTION] ✗ Sweep failed:', error.message);
+      process.exit(1);
+    });
+}
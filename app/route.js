@@ -1,23 +1,145 @@
 const formValidator = require('./form_validator');
 const photoModel = require('./photo_model');
-const { sendMessage } = require('./pubsub');
-const { zipFilesStore, storage } = require('./listenForMessage');
-const { getZipDataByPrenom } = require('./firebase');
-const moment = require('moment');
-const { rateLimiter } = require('./rate_limiter');
+const { sendMessage } = require('./queue');
+const { getZipDataByUid, findZipById } = require('./firebase');
+const { getStorage, getKeyFromStoragePath } = require('./storage');
+const { deleteZip, setZipLabel, shareCachedZip } = require('./zip_history');
+const { getQuotaUsage, reserveJobSlot, releaseJobSlot } = require('./quota');
+const {
+  buildCacheKey,
+  getCachedZip,
+  claimInFlightJob,
+  releaseInFlightJob
+} = require('./zip_cache');
+const querystring = require('querystring');
+const { createPolicyRateLimiter, sendTooManyRequests, getRateLimiterStatus } = require('./rate_limiter');
+const { isRedisConnected } = require('./redis_client');
+const { requireAuth, requireAuthOrQueryToken } = require('./auth_middleware');
+const {
+  generateJobId,
+  isValidJobId,
+  createJob,
+  updateJob,
+  setJobStatus,
+  getJob,
+  deleteJob,
+  isTerminalStatus,
+  onJobEvent
+} = require('./job_store');
+
+// Photos zipped when the request names neither photos nor limit
+const DEFAULT_ZIP_LIMIT = 10;
+const MAX_ZIP_PHOTOS = Number(process.env.ZIP_MAX_PHOTOS) || 50;
+
+// Keeps proxies from closing idle event streams
+const SSE_HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS) || 15000;
+
+// Each open event stream follows its job record in Firebase
+const MAX_JOB_STREAMS_PER_USER = Number(process.env.MAX_JOB_STREAMS_PER_USER) || 5;
+const openJobStreams = new Map(); // uid -> open streams
+
+// Links minted by GET /api/zips/:id/download are used right away
+const DOWNLOAD_URL_TTL_MS = 15 * 60 * 1000;
+
+// Zip ids are Firebase keys, which cannot hold . # $ [ ] or /
+const ZIP_ID_REGEX = /^[^.#$[\]/]{1,200}$/;
+
+// Zips removed by one bulk delete
+const MAX_BULK_DELETE = 100;
+
+const QUOTA_MESSAGES = {
+  jobsPerDay: 'Daily zip job quota reached',
+  concurrentJobs: 'Too many zip jobs in progress, wait for one to finish',
+  storedBytes: 'Storage quota reached, delete some archives first'
+};
+
+// Token buckets of rate_limit_policies.js. The ones behind requireAuth are
+// kept per user, the others per IP. authRateLimiter runs before requireAuth
+// so requests with a missing or forged token are limited as well; only those
+// (401) cost tokens, users sharing an IP are not limited together.
+const authRateLimiter = createPolicyRateLimiter('auth', {
+  chargeIf: (req, res) => res.statusCode === 401
+});
+const searchRateLimiter = createPolicyRateLimiter('search');
+const photosApiRateLimiter = createPolicyRateLimiter('photosApi');
+const zipRateLimiter = createPolicyRateLimiter('zip');
+const zipsApiRateLimiter = createPolicyRateLimiter('zipsApi');
+const jobsRateLimiter = createPolicyRateLimiter('jobs');
+
+// Fields of a photo exposed by the JSON API
+function toApiPhoto(photo) {
+  return {
+    title: photo.title,
+    link: photo.link,
+    media: {
+      t: photo.media.t,
+      m: photo.media.m,
+      b: photo.media.b
+    },
+    author: photo.author,
+    tags: photo.tags,
+    date_taken: photo.date_taken
+  };
+}
+
+// Whether the user queued the job or was attached to it
+function isJobFollower(job, uid) {
+  return job.uid === uid || Boolean(job.subscribers && job.subscribers[uid]);
+}
+
+// Job records are shared by everyone following the job: the users behind it
+// are left out
+function toPublicJob(job) {
+  const publicJob = Object.assign({}, job);
+  delete publicJob.uid;
+  delete publicJob.subscribers;
+  return publicJob;
+}
+
+function sendApiError(res, status, code, message) {
+  return res.status(status).json({
+    success: false,
+    error: { code, message }
+  });
+}
+
+function writeServerSentEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
 function route(app) {
-  app.get('/', async (req, res) => {
+  // Liveness for load balancers; the app keeps serving without Redis, so
+  // it only reports which rate limiter buckets are in use
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      redis: isRedisConnected() ? 'connected' : 'disconnected',
+      rateLimiter: getRateLimiterStatus()
+    });
+  });
+
+  app.get('/', searchRateLimiter, async (req, res) => {
     const tags = req.query.tags;
     const tagmode = req.query.tagmode;
+    const source = req.query.source || photoModel.DEFAULT_SOURCE;
+    const page = req.query.page;
+    const perPage = req.query.per_page;
 
     const ejsLocalVariables = {
       tagsParameter: tags || '',
       tagmodeParameter: tagmode || '',
+      sourceParameter: source,
+      perPageParameter: Number(perPage) || photoModel.DEFAULT_PER_PAGE,
+      maxPerPage: formValidator.MAX_PER_PAGE,
+      maxPage: formValidator.MAX_PAGE,
+      maxTags: formValidator.MAX_TAGS,
+      photoSources: photoModel.listPhotoSources(),
       photos: [],
       searchResults: false,
       invalidParameters: false,
-      downloadLink: null
+      downloadLink: null,
+      previousPageUrl: null,
+      nextPageUrl: null
     };
 
     // if no input params are passed in then render the view with out querying the api
@@ -26,84 +148,360 @@ function route(app) {
     }
 
     // validate query parameters
-    if (!formValidator.hasValidFlickrAPIParams(tags, tagmode)) {
+    if (
+      !formValidator.hasValidFlickrAPIParams(tags, tagmode) ||
+      !formValidator.hasValidPaginationParams(page, perPage) ||
+      !photoModel.hasPhotoSource(source)
+    ) {
       ejsLocalVariables.invalidParameters = true;
       return res.render('index', ejsLocalVariables);
     }
 
-    // Check if a zip file already exists for these tags
-    const filename = zipFilesStore.get(tags);
-    if (filename) {
-      try {
-        // Generate a signed URL for downloading the zip
-        const options = {
-          action: 'read',
-          expires: moment().add(2, 'days').unix() * 1000
-        };
-        
-        const signedUrls = await storage
-          .bucket(process.env.STORAGE_BUCKET)
-          .file(filename)
-          .getSignedUrl(options);
-        
-        ejsLocalVariables.downloadLink = signedUrls[0];
-        console.log(`✅ Generated download link for tags "${tags}": ${ejsLocalVariables.downloadLink}`);
-      } catch (error) {
-        console.error('Error generating signed URL:', error);
+    // Check if the default archive ("Zip 10 First Photos") already exists
+    if (tags) {
+      const cached = await getCachedZip(
+        buildCacheKey({
+          tags,
+          tagmode: tagmode || 'all',
+          source,
+          size: 'm',
+          format: 'zip',
+          count: DEFAULT_ZIP_LIMIT
+        })
+      );
+      if (cached) {
+        ejsLocalVariables.downloadLink = cached.signedUrl;
+        console.log(`✅ Cached archive "${cached.filename}" found for tags "${tags}"`);
       }
     }
 
-    // get photos from flickr public feed api
+    // get photos from the selected source (flickr public feed api by default)
     return photoModel
-      .getFlickrPhotos(tags, tagmode)
-      .then(photos => {
-        ejsLocalVariables.photos = photos;
+      .fetchPhotoPage(tags, tagmode, { source, page, perPage })
+      .then(result => {
+        // next/prev links keep the current search
+        const pageUrl = pageNumber =>
+          '/?' +
+          querystring.stringify({
+            tags,
+            tagmode,
+            source,
+            page: pageNumber,
+            per_page: result.perPage
+          });
+
+        ejsLocalVariables.photos = result.photos;
         ejsLocalVariables.searchResults = true;
+        if (result.hasPreviousPage) {
+          ejsLocalVariables.previousPageUrl = pageUrl(result.page - 1);
+        }
+        if (result.hasNextPage) {
+          ejsLocalVariables.nextPageUrl = pageUrl(result.page + 1);
+        }
         return res.render('index', ejsLocalVariables);
       })
       .catch(error => {
-        console.error('Error fetching Flickr photos:', error);
+        console.error(`Error fetching ${source} photos:`, error);
         return res.status(500).send({ error });
       });
   });
   
-  // Apply rate limiter only to /zip endpoint
-  app.post('/zip', rateLimiter, async (req, res) => {
+  // JSON version of the search, for scripts and the mobile client
+  app.get('/api/photos', photosApiRateLimiter, async (req, res) => {
     const tags = req.query.tags;
-    const prenom = req.query.prenom;
+    const tagmode = req.query.tagmode;
+    const source = req.query.source || photoModel.DEFAULT_SOURCE;
+    const page = req.query.page;
+    const perPage = req.query.per_page;
+
+    if (!tags || !tagmode) {
+      return sendApiError(res, 400, 'INVALID_PARAMS', 'tags and tagmode are required');
+    }
+
+    if (!formValidator.hasValidFlickrAPIParams(tags, tagmode)) {
+      return sendApiError(
+        res,
+        400,
+        'INVALID_PARAMS',
+        `Tags must be a comma delimited list of at most ${formValidator.MAX_TAGS} tags of letters and tagmode must be "all" or "any"`
+      );
+    }
+
+    if (!formValidator.hasValidPaginationParams(page, perPage)) {
+      return sendApiError(
+        res,
+        400,
+        'INVALID_PARAMS',
+        `page must be a positive integer up to ${formValidator.MAX_PAGE} and per_page at most ${formValidator.MAX_PER_PAGE}`
+      );
+    }
+
+    if (!photoModel.hasPhotoSource(source)) {
+      return sendApiError(res, 400, 'INVALID_PARAMS', `Unknown photo source: ${source}`);
+    }
+
+    try {
+      const result = await photoModel.fetchPhotoPage(tags, tagmode, { source, page, perPage });
+
+      return res.json({
+        success: true,
+        photos: result.photos.map(toApiPhoto),
+        page: result.page,
+        perPage: result.perPage,
+        hasPreviousPage: result.hasPreviousPage,
+        hasNextPage: result.hasNextPage
+      });
+    } catch (error) {
+      console.error(`[API] ✗ Error fetching ${source} photos:`, error.message || error);
+      return sendApiError(
+        res,
+        502,
+        'UPSTREAM_ERROR',
+        `Failed to fetch photos from ${source}`
+      );
+    }
+  });
+
+  // Rate limited per IP until the token is verified, then per user
+  app.post('/zip', authRateLimiter, requireAuth, zipRateLimiter, async (req, res) => {
+    // JSON body, query string kept for older clients
+    const params = Object.assign({}, req.query, req.body);
+    const tags = params.tags;
+    const tagmode = params.tagmode || 'all';
+    const source = params.source || photoModel.DEFAULT_SOURCE;
+    const size = params.size || 'm';
+    const format = params.format || 'zip';
+    const uid = req.user.uid;
 
     // validate tags parameter
     if (!tags) {
       return res.status(400).send({ error: 'Tags parameter is required' });
     }
 
-    // validate prenom parameter
-    if (!prenom) {
-      return res.status(401).send({ error: 'Authentication required: prenom parameter is missing' });
+    if (!formValidator.hasValidFlickrAPIParams(tags, tagmode)) {
+      return res.status(400).send({ error: 'Invalid tags or tagmode parameter' });
+    }
+
+    if (!photoModel.hasPhotoSource(source)) {
+      return res.status(400).send({ error: `Unknown photo source: ${source}` });
+    }
+
+    if (!formValidator.isValidPhotoSize(size)) {
+      return res.status(400).send({ error: 'size must be "t", "m" or "b"' });
+    }
+
+    if (!formValidator.isValidArchiveFormat(format)) {
+      return res.status(400).send({ error: 'format must be "zip" or "tar.gz"' });
+    }
+
+    if (params.photos !== undefined && !formValidator.isValidPhotoLinkList(params.photos, MAX_ZIP_PHOTOS)) {
+      return res.status(400).send({
+        error: `photos must be a list of 1 to ${MAX_ZIP_PHOTOS} photo links`
+      });
+    }
+
+    if (params.limit !== undefined && !formValidator.isValidZipLimit(params.limit, MAX_ZIP_PHOTOS)) {
+      return res.status(400).send({
+        error: `limit must be an integer between 1 and ${MAX_ZIP_PHOTOS}`
+      });
+    }
+
+    console.log(`Received request to zip photos for tags: ${tags}, user: ${uid}`);
+
+    // The first photos of a search are the same for everyone: reuse the
+    // archive when one is still available. Hand-picked selections are not cached.
+    let cacheKey = null;
+    if (!params.photos) {
+      const count = Number(params.limit) || DEFAULT_ZIP_LIMIT;
+      cacheKey = buildCacheKey({ tags, tagmode, source, size, format, count });
+
+      let cached = await getCachedZip(cacheKey);
+      if (cached) {
+        console.log(`[CACHE] ✓ Cache hit for tags "${tags}": ${cached.filename}`);
+        // the archive also goes to this user's zip history
+        try {
+          await shareCachedZip(cacheKey, cached, [uid], { size, format });
+        } catch (error) {
+          console.warn(`[CACHE] ⚠ Could not save the cached archive for ${uid}, building it again:`, error.message);
+          cached = null;
+        }
+      }
+      if (cached) {
+        return res.status(200).json({
+          message: 'Archive already available',
+          cached: true,
+          tags: tags,
+          source: source,
+          size: size,
+          format: format,
+          filename: cached.filename,
+          photoCount: cached.photoCount,
+          signedUrl: cached.signedUrl,
+          expiresAt: cached.expiresAt
+        });
+      }
+    }
+
+    const jobId = generateJobId();
+
+    // Per-user quotas: cached archives above cost nothing. The slot is taken
+    // first, so parallel requests cannot all pass the check and a refused
+    // request never claims the archive below for others to attach to.
+    let quotaCheck = { allowed: true };
+    let slotReserved = false;
+    try {
+      quotaCheck = await reserveJobSlot(uid, jobId);
+      slotReserved = quotaCheck.allowed;
+    } catch (error) {
+      console.warn(`[QUOTA] ⚠ Could not check the quota of ${uid}, allowing request:`, error.message);
+    }
+    const refundSlot = () => {
+      if (!slotReserved) {
+        return Promise.resolve();
+      }
+      return releaseJobSlot(uid, jobId, { refund: true }).catch(error => {
+        console.warn(`[QUOTA] ⚠ Could not release the slot of job ${jobId}:`, error.message);
+      });
+    };
+
+    if (!quotaCheck.allowed) {
+      const allowance = quotaCheck.usage[quotaCheck.exceeded];
+      console.log(`[QUOTA] Request DENIED for user ${uid}: ${quotaCheck.exceeded} (${allowance.used}/${allowance.limit})`);
+      // running jobs and stored bytes have no reset time
+      const retryAfter = allowance.resetsAt
+        ? Math.ceil((Date.parse(allowance.resetsAt) - Date.now()) / 1000)
+        : null;
+      return sendTooManyRequests(req, res, {
+        detail: QUOTA_MESSAGES[quotaCheck.exceeded],
+        retryAfter: retryAfter,
+        quota: quotaCheck.exceeded,
+        limit: allowance.limit,
+        used: allowance.used,
+        resetsAt: allowance.resetsAt,
+        checkQuotaAt: '/api/me/quota'
+      });
+    }
+
+    // The record exists before the claim below, so a request attaching to
+    // this job always finds it
+    try {
+      await createJob(jobId, { tags: tags, source: source, size: size, format: format, uid: uid });
+    } catch (error) {
+      console.error('Error creating zip:', error);
+      await refundSlot();
+      return res.status(500).send({
+        error: 'Failed to queue zip job',
+        details: error.message
+      });
+    }
+
+    // Same archive being built for someone else: follow that job instead,
+    // at no cost
+    if (cacheKey) {
+      try {
+        const inFlightJobId = await claimInFlightJob(cacheKey, jobId);
+        const inFlightJob = inFlightJobId !== jobId ? await getJob(inFlightJobId) : null;
+
+        if (inFlightJob && !isTerminalStatus(inFlightJob.status)) {
+          // the archive also goes to this user's zip history
+          await updateJob(inFlightJobId, { [`subscribers/${uid}`]: true });
+          console.log(`[CACHE] ✓ Attached user ${uid} to in-flight job ${inFlightJobId}`);
+          await deleteJob(jobId).catch(() => {});
+          await refundSlot();
+          return res.status(202).json({
+            message: 'Zip job already in progress',
+            attached: true,
+            jobId: inFlightJobId,
+            tags: tags,
+            source: source,
+            size: size,
+            format: format,
+            checkStatusAt: `/job-status/${inFlightJobId}`
+          });
+        }
+        if (inFlightJobId !== jobId) {
+          // stale claim: build the archive without deduplication
+          cacheKey = null;
+        }
+      } catch (error) {
+        console.warn(`[CACHE] ⚠ Could not look for an in-flight job, building without deduplication:`, error.message);
+        await releaseInFlightJob(cacheKey, jobId);
+        cacheKey = null;
+      }
+    }
+    const releaseClaim = () => (cacheKey ? releaseInFlightJob(cacheKey, jobId) : Promise.resolve());
+
+    // The job will not run: it does not count, and users attached to it
+    // meanwhile see it fail
+    const abandonJob = async reason => {
+      await setJobStatus(jobId, 'failed', { error: reason }).catch(() => {});
+      await releaseClaim();
+      await refundSlot();
+    };
+
+    // Resolve the photos now so the worker zips exactly what the user saw
+    let photos;
+    let missing = [];
+    try {
+      if (params.photos) {
+        const links = Array.from(new Set(params.photos));
+        const found = await photoModel.findPhotosByLink(tags, tagmode, links, { source });
+        photos = found.photos;
+        missing = found.missing;
+      } else {
+        const limit = Number(params.limit) || DEFAULT_ZIP_LIMIT;
+        const result = await photoModel.fetchPhotoPage(tags, tagmode, { source, perPage: limit });
+        photos = result.photos;
+      }
+    } catch (error) {
+      console.error(`Error fetching ${source} photos to zip:`, error.message || error);
+      await abandonJob(`Failed to fetch photos from ${source}`);
+      return res.status(502).send({ error: `Failed to fetch photos from ${source}` });
+    }
+
+    if (photos.length === 0) {
+      await abandonJob('No photos to zip');
+      return res.status(422).send({
+        error: 'No photos to zip: the selected photos are no longer available',
+        missing: missing
+      });
     }
 
-    console.log(`Received request to zip photos for tags: ${tags}, user: ${prenom}`);
-    
     try {
       const message = {
+        jobId: jobId,
         tags: tags,
-        prenom: prenom,
+        source: source,
+        photos: photos,
+        size: size,
+        format: format,
+        uid: uid,
+        cacheKey: cacheKey,
+        // redeliveries of this message must not build the archive twice
+        idempotencyKey: jobId,
         timestamp: new Date().toISOString(),
         requestType: 'zip'
       };
       
-      await sendMessage(message);
+      const messageId = await sendMessage(message);
+      await updateJob(jobId, { messageId: messageId });
 
       // Return success response - the worker will process the zip
       return res.status(202).json({ 
         message: 'Zip job queued successfully',
+        jobId: jobId,
         tags: tags,
-        prenom: prenom,
-        checkStatusAt: `/job-status/${tags}`
+        source: source,
+        size: size,
+        format: format,
+        photoCount: photos.length,
+        missing: missing,
+        checkStatusAt: `/job-status/${jobId}`
       });
 
     } catch (error) {
       console.error('Error creating zip:', error);
+      await abandonJob(error.message);
       return res.status(500).send({ 
         error: 'Failed to queue zip job',
         details: error.message
@@ -111,32 +509,150 @@ function route(app) {
     }
   });
 
-  // API endpoint to get existing ZIPs from Firebase (secure)
-  app.get('/api/zips', async (req, res) => {
+  // Status of a zip job queued by POST /zip
+  app.get('/job-status/:jobId', authRateLimiter, requireAuth, jobsRateLimiter, async (req, res) => {
+    const jobId = req.params.jobId;
+
+    if (!isValidJobId(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
     try {
-      const prenom = req.query.prenom;
-      
-      if (!prenom) {
-        console.error('[API] Prenom parameter is required');
-        return res.status(400).json({ 
-          success: false, 
-          error: 'Prenom parameter is required' 
-        });
+      const job = await getJob(jobId);
+
+      // someone else's job looks the same as a missing one
+      if (!job || !isJobFollower(job, req.user.uid)) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      return res.json(toPublicJob(job));
+    } catch (error) {
+      console.error(`[API] ✗ Error fetching job ${jobId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch job status' });
+    }
+  });
+
+  // Live progress of a zip job as Server-Sent Events. EventSource cannot
+  // send the ID token as a header, it comes as ?token= instead.
+  app.get('/jobs/:id/events', authRateLimiter, requireAuthOrQueryToken, jobsRateLimiter, async (req, res) => {
+    const jobId = req.params.id;
+    const uid = req.user.uid;
+
+    if (!isValidJobId(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    let job;
+    try {
+      job = await getJob(jobId);
+    } catch (error) {
+      console.error(`[SSE] ✗ Error fetching job ${jobId}:`, error.message);
+      return res.status(500).json({ error: 'Failed to fetch job status' });
+    }
+
+    if (!job || !isJobFollower(job, uid)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if ((openJobStreams.get(uid) || 0) >= MAX_JOB_STREAMS_PER_USER) {
+      return sendTooManyRequests(req, res, {
+        detail: `At most ${MAX_JOB_STREAMS_PER_USER} job event streams can be open at once`
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    let lastStatus = null;
+    let readySent = false;
+
+    // A status can arrive from the worker of this process, from Firebase and
+    // from a re-read of the job: each one is sent once
+    const sendEvent = ({ type, data }) => {
+      if (res.writableEnded) {
+        return;
+      }
+      if (type === 'status') {
+        if (data.status === lastStatus) {
+          return;
+        }
+        lastStatus = data.status;
+        // the worker of another instance sent its 'ready' event there
+        if (data.status === 'done' && data.signedUrl) {
+          sendEvent({ type: 'ready', data: { signedUrl: data.signedUrl } });
+        }
+      }
+      if (type === 'ready') {
+        if (readySent) {
+          return;
+        }
+        readySent = true;
+      }
+
+      writeServerSentEvent(res, type, type === 'status' ? toPublicJob(data) : data);
+      if (type === 'status' && isTerminalStatus(data.status)) {
+        res.end();
+      }
+    };
+
+    // Picks up changes no event reached this process for
+    const refreshJob = () =>
+      getJob(jobId)
+        .then(current => current && sendEvent({ type: 'status', data: current }))
+        .catch(error => console.error(`[SSE] ✗ Error refreshing job ${jobId}:`, error.message));
+
+    // Current state first, so late subscribers catch up
+    sendEvent({ type: 'status', data: job });
+    if (isTerminalStatus(job.status)) {
+      return;
+    }
+
+    console.log(`[SSE] Client subscribed to job ${jobId}`);
+    openJobStreams.set(uid, (openJobStreams.get(uid) || 0) + 1);
+
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+      refreshJob();
+    }, SSE_HEARTBEAT_MS);
+    const unsubscribe = onJobEvent(jobId, sendEvent);
+    // the job may have moved on while it was read above
+    refreshJob();
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      const remaining = openJobStreams.get(uid) - 1;
+      if (remaining > 0) {
+        openJobStreams.set(uid, remaining);
+      } else {
+        openJobStreams.delete(uid);
       }
+      console.log(`[SSE] Client unsubscribed from job ${jobId}`);
+    });
+  });
+
+  // API endpoint to get existing ZIPs from Firebase (secure)
+  app.get('/api/zips', authRateLimiter, requireAuth, zipsApiRateLimiter, async (req, res) => {
+    try {
+      const uid = req.user.uid;
 
-      console.log(`[API] Fetching ZIPs for user: ${prenom}`);
+      console.log(`[API] Fetching ZIPs for user: ${uid}`);
       
       // Fetch data from Firebase (credentials are secure on server)
-      const zipData = await getZipDataByPrenom(prenom);
+      const zipData = await getZipDataByUid(uid);
       
       if (zipData) {
-        console.log(`[API] ✓ Found ZIP data for ${prenom}`);
+        console.log(`[API] ✓ Found ZIP data for ${uid}`);
         return res.json({ 
           success: true, 
           zips: zipData 
         });
       } else {
-        console.log(`[API] No ZIP data found for ${prenom}`);
+        console.log(`[API] No ZIP data found for ${uid}`);
         return res.json({ 
           success: true, 
           zips: null 
@@ -152,6 +668,135 @@ function route(app) {
     }
   });
 
+  // Fresh download link of one of the caller's archives. Browsers ask for
+  // JSON (they cannot send the ID token through a plain link), other clients
+  // are redirected.
+  app.get('/api/zips/:id/download', authRateLimiter, requireAuth, zipsApiRateLimiter, async (req, res) => {
+    const zipId = req.params.id;
+
+    if (!ZIP_ID_REGEX.test(zipId)) {
+      return sendApiError(res, 400, 'INVALID_PARAMS', 'Invalid zip id');
+    }
+
+    try {
+      const zip = await findZipById(req.user.uid, zipId);
+      const storageKey = zip && getKeyFromStoragePath(zip.zipData.storagePath);
+
+      if (!storageKey) {
+        // someone else's archive looks the same as a missing one
+        return sendApiError(res, 404, 'NOT_FOUND', 'Zip not found');
+      }
+
+      const url = await getStorage().getDownloadUrl(storageKey, DOWNLOAD_URL_TTL_MS);
+      console.log(`[API] ✓ Minted download link for ${zipId} (user ${req.user.uid})`);
+
+      if (req.accepts(['html', 'json']) === 'json') {
+        return res.json({
+          success: true,
+          url: url,
+          expiresAt: new Date(Date.now() + DOWNLOAD_URL_TTL_MS).toISOString()
+        });
+      }
+      return res.redirect(302, url);
+    } catch (error) {
+      console.error(`[API] ✗ Error minting download link for ${zipId}:`, error.message);
+      return sendApiError(res, 500, 'INTERNAL_ERROR', 'Failed to create download link');
+    }
+  });
+
+  // Custom label of one of the caller's archives ({ label: null } clears it)
+  app.patch('/api/zips/:id', authRateLimiter, requireAuth, zipsApiRateLimiter, async (req, res) => {
+    const zipId = req.params.id;
+    const label = (req.body || {}).label;
+
+    if (!ZIP_ID_REGEX.test(zipId)) {
+      return sendApiError(res, 400, 'INVALID_PARAMS', 'Invalid zip id');
+    }
+    if (label === undefined || !formValidator.isValidZipLabel(label)) {
+      return sendApiError(
+        res,
+        400,
+        'INVALID_PARAMS',
+        `label must be null or a text of 1 to ${formValidator.MAX_ZIP_LABEL_LENGTH} characters`
+      );
+    }
+
+    try {
+      const zipData = await setZipLabel(req.user.uid, zipId, label === null ? null : label.trim());
+      if (!zipData) {
+        return sendApiError(res, 404, 'NOT_FOUND', 'Zip not found');
+      }
+      return res.json({ success: true, id: zipId, zip: zipData });
+    } catch (error) {
+      console.error(`[API] ✗ Error labelling zip ${zipId}:`, error.message);
+      return sendApiError(res, 500, 'INTERNAL_ERROR', 'Failed to update zip');
+    }
+  });
+
+  // Remove one of the caller's archives from the history and from storage
+  app.delete('/api/zips/:id', authRateLimiter, requireAuth, zipsApiRateLimiter, async (req, res) => {
+    const zipId = req.params.id;
+
+    if (!ZIP_ID_REGEX.test(zipId)) {
+      return sendApiError(res, 400, 'INVALID_PARAMS', 'Invalid zip id');
+    }
+
+    try {
+      const deleted = await deleteZip(req.user.uid, zipId);
+      if (!deleted) {
+        return sendApiError(res, 404, 'NOT_FOUND', 'Zip not found');
+      }
+      return res.json({ success: true, id: zipId });
+    } catch (error) {
+      console.error(`[API] ✗ Error deleting zip ${zipId}:`, error.message);
+      return sendApiError(res, 500, 'INTERNAL_ERROR', 'Failed to delete zip');
+    }
+  });
+
+  // Bulk delete: { ids: [...] }. Ids the caller does not own are reported
+  // as not found.
+  app.delete('/api/zips', authRateLimiter, requireAuth, zipsApiRateLimiter, async (req, res) => {
+    const ids = (req.body || {}).ids;
+
+    if (!formValidator.isValidZipIdList(ids, MAX_BULK_DELETE) || !ids.every(id => ZIP_ID_REGEX.test(id))) {
+      return sendApiError(res, 400, 'INVALID_PARAMS', `ids must be a list of 1 to ${MAX_BULK_DELETE} zip ids`);
+    }
+
+    const deleted = [];
+    const notFound = [];
+    const failed = [];
+    for (const zipId of Array.from(new Set(ids))) {
+      try {
+        if (await deleteZip(req.user.uid, zipId)) {
+          deleted.push(zipId);
+        } else {
+          notFound.push(zipId);
+        }
+      } catch (error) {
+        console.error(`[API] ✗ Error deleting zip ${zipId}:`, error.message);
+        failed.push(zipId);
+      }
+    }
+
+    return res.status(failed.length > 0 ? 500 : 200).json({
+      success: failed.length === 0,
+      deleted: deleted,
+      notFound: notFound,
+      failed: failed
+    });
+  });
+
+  // Remaining allowance of the caller for each quota, and when it resets
+  app.get('/api/me/quota', authRateLimiter, requireAuth, zipsApiRateLimiter, async (req, res) => {
+    try {
+      const quota = await getQuotaUsage(req.user.uid);
+      return res.json({ success: true, uid: req.user.uid, quota: quota });
+    } catch (error) {
+      console.error(`[API] ✗ Error reading the quota of ${req.user.uid}:`, error.message);
+      return sendApiError(res, 500, 'INTERNAL_ERROR', 'Failed to read quota');
+    }
+  });
+
   // API endpoint to get Firebase config (only public config, no secrets!)
   app.get('/api/firebase-config', (req, res) => {
     try {
@@ -5,16 +5,33 @@ const express = require('express');
 const favicon = require('serve-favicon');
 const path = require('path');
 
-// Import Pub/Sub message listener
+// Import the zip request listener (Pub/Sub or in-memory queue)
 const { startListener } = require('./listenForMessage');
+const { getStorage } = require('./storage');
+const { startRetentionSweeper } = require('./retention');
 
 const app = express();
 
+// JSON request bodies (POST /zip)
+app.use(express.json());
+
 // public assets
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(favicon(path.join(__dirname, 'public/images', 'favicon.ico')));
 app.use('/coverage', express.static(path.join(__dirname, '..', 'coverage')));
 
+// photos of the local directory photo source
+if (process.env.LOCAL_PHOTOS_DIR) {
+  const { LOCAL_PHOTOS_ROUTE } = require('./photo_sources/local_directory');
+  app.use(LOCAL_PHOTOS_ROUTE, express.static(process.env.LOCAL_PHOTOS_DIR));
+}
+
+// archives of the local storage backend, behind signed links
+if (process.env.STORAGE_BACKEND === 'local') {
+  const { LOCAL_FILES_ROUTE } = require('./storage_backends/local');
+  app.get(`${LOCAL_FILES_ROUTE}/:key`, getStorage().downloadHandler);
+}
+
 // ejs for view templates
 app.engine('.html', require('ejs').__express);
 app.set('views', path.join(__dirname, 'views'));
@@ -28,9 +45,12 @@ const port = process.env.PORT || 3000;
 app.server = app.listen(port);
 console.log(`listening on port ${port}`);
 
-// Start Pub/Sub message listener
-console.log('Starting Pub/Sub message listener...');
+// Start the zip request listener
+console.log('Starting zip request listener...');
 startListener();
 
+// Delete archives beyond the retention policy, if one is configured
+startRetentionSweeper();
+
 
 module.exports = app;
@@ -0,0 +1,46 @@
+'use strict';
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const DEFAULT_BACKEND = 'gcs';
+
+// Available backends, each exposing createWriteStream(key, options),
+// getDownloadUrl(key, expiresInMs), delete(key), list(prefix) and
+// getStoragePath(key)
+const storageBackends = {
+  gcs: () => require('./storage_backends/gcs').createGcsStorage(),
+  local: () => require('./storage_backends/local').createLocalStorage()
+};
+
+let storage = null;
+
+/**
+ * The backend chosen by STORAGE_BACKEND (gcs or local), created once
+ */
+function getStorage() {
+  if (!storage) {
+    const backend = process.env.STORAGE_BACKEND || DEFAULT_BACKEND;
+    if (!Object.prototype.hasOwnProperty.call(storageBackends, backend)) {
+      throw new Error(`Unknown storage backend: ${backend}`);
+    }
+    storage = storageBackends[backend]();
+    console.log(`[STORAGE] Using ${storage.name} backend`);
+  }
+  return storage;
+}
+
+/**
+ * Key of an object from the storagePath saved with it (gs://bucket/key or
+ * local://key)
+ */
+function getKeyFromStoragePath(storagePath) {
+  const match = /^(?:gs:\/\/[^/]+|local:\/)\/(.+)$/.exec(storagePath || '');
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  getStorage,
+  getKeyFromStoragePath
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+const {Storage} = require('@google-cloud/storage');
+
+/**
+ * Google Cloud Storage backend, on the STORAGE_BUCKET bucket
+ */
+function createGcsStorage(bucketName = process.env.STORAGE_BUCKET) {
+  // Create Storage client with proper authentication
+  const storage = new Storage({
+    projectId: process.env.PROJECT_ID,
+  });
+
+  if (!bucketName) {
+    console.error('[STORAGE] ✗ STORAGE_BUCKET environment variable is not set');
+  }
+
+  const bucket = () => storage.bucket(bucketName);
+
+  function createWriteStream(key, { contentType, resumable = false } = {}) {
+    console.log(`[STORAGE] Starting ${resumable ? 'resumable ' : ''}upload to gs://${bucketName}/${key}`);
+    const uploadStream = bucket().file(key).createWriteStream({
+      metadata: {
+        contentType,
+        cacheControl: 'private'
+      },
+      resumable
+    });
+    uploadStream.on('error', () => {
+      console.error(`[STORAGE] ✗ Please verify that the bucket "${bucketName}" exists in project "${process.env.PROJECT_ID}"`);
+    });
+    return uploadStream;
+  }
+
+  async function getDownloadUrl(key, expiresInMs) {
+    const [signedUrl] = await bucket().file(key).getSignedUrl({
+      action: 'read',
+      expires: Date.now() + expiresInMs
+    });
+    return signedUrl;
+  }
+
+  async function deleteObject(key) {
+    await bucket().file(key).delete({ ignoreNotFound: true });
+  }
+
+  async function list(prefix = '') {
+    const [files] = await bucket().getFiles({ prefix });
+    return files.map(file => ({
+      key: file.name,
+      sizeBytes: Number(file.metadata.size),
+      updatedAt: file.metadata.updated
+    }));
+  }
+
+  return {
+    name: 'gcs',
+    createWriteStream,
+    getDownloadUrl,
+    delete: deleteObject,
+    list,
+    getStoragePath: key => `gs://${bucketName}/${key}`
+  };
+}
+
+module.exports = {
+  createGcsStorage
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Where the local backend serves its files
+const LOCAL_FILES_ROUTE = '/files';
+
+/**
+ * Local disk backend, for running the app without a cloud account. Files
+ * are served by downloadHandler on LOCAL_FILES_ROUTE through links signed
+ * with an HMAC of the key and the expiry date.
+ */
+function createLocalStorage({
+  directory = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'storage'),
+  signingSecret = process.env.STORAGE_SIGNING_SECRET
+} = {}) {
+  if (!signingSecret) {
+    // links stop working on restart
+    console.warn('[STORAGE] ⚠ STORAGE_SIGNING_SECRET is not set, using a random secret');
+    signingSecret = crypto.randomBytes(32).toString('hex');
+  }
+
+  fs.mkdirSync(directory, { recursive: true });
+
+  // keys are plain file names, never paths
+  function resolveKey(key) {
+    if (!key || path.basename(key) !== key || key.startsWith('.')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(directory, key);
+  }
+
+  function sign(key, expires) {
+    return crypto
+      .createHmac('sha256', signingSecret)
+      .update(`${key}:${expires}`)
+      .digest('hex');
+  }
+
+  function isValidSignature(key, expires, signature) {
+    const expected = Buffer.from(sign(key, expires));
+    const actual = Buffer.from(String(signature || ''));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  function createWriteStream(key) {
+    console.log(`[STORAGE] Writing ${key} to ${directory}`);
+    return fs.createWriteStream(resolveKey(key));
+  }
+
+  async function getDownloadUrl(key, expiresInMs) {
+    resolveKey(key);
+    const expires = Date.now() + expiresInMs;
+    return `${LOCAL_FILES_ROUTE}/${encodeURIComponent(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+  }
+
+  async function deleteObject(key) {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async function list(prefix = '') {
+    const names = await fs.promises.readdir(directory);
+    const keys = names.filter(name => name.startsWith(prefix) && !name.startsWith('.'));
+    return Promise.all(
+      keys.map(async key => {
+        const stats = await fs.promises.stat(path.join(directory, key));
+        return { key, sizeBytes: stats.size, updatedAt: stats.mtime.toISOString() };
+      })
+    );
+  }
+
+  // Express handler for GET LOCAL_FILES_ROUTE/:key
+  function downloadHandler(req, res) {
+    const { key } = req.params;
+    const expires = Number(req.query.expires);
+
+    if (!expires || !isValidSignature(key, req.query.expires, req.query.signature)) {
+      return res.status(403).send({ error: 'Invalid signature' });
+    }
+    if (expires < Date.now()) {
+      return res.status(403).send({ error: 'Link expired' });
+    }
+
+    let filePath;
+    try {
+      filePath = resolveKey(key);
+    } catch (error) {
+      return res.status(400).send({ error: error.message });
+    }
+    return res.download(filePath, key, error => {
+      if (error && !res.headersSent) {
+        res.status(404).send({ error: 'File not found' });
+      }
+    });
+  }
+
+  return {
+    name: 'local',
+    directory,
+    createWriteStream,
+    getDownloadUrl,
+    delete: deleteObject,
+    list,
+    getStoragePath: key => `local://${key}`,
+    downloadHandler
+  };
+}
+
+module.exports = {
+  LOCAL_FILES_ROUTE,
+  createLocalStorage
+};
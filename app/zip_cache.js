@@ -0,0 +1,134 @@
+'use strict';
+
+const crypto = require('crypto');
+const { getDataStore } = require('./data_store');
+
+// Download links of archives are valid this long, and so are cache entries:
+// a cached archive always comes with a link that still works
+const SIGNED_URL_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// An archive being built is claimed for at most this long
+const IN_FLIGHT_TTL_MS = 60 * 60 * 1000;
+
+// Entries and claims always live in the data store: a store picked per call
+// (e.g. Redis while it is up) would split them during an outage
+const CACHE_ROOT = 'zipCache';
+const IN_FLIGHT_ROOT = 'zipInFlight';
+
+/**
+ * "California, sunset" and "sunset,california" are the same search
+ */
+function normalizeTags(tags) {
+  const tagSet = new Set(
+    String(tags)
+      .split(',')
+      .map(tag => tag.trim().toLowerCase())
+      .filter(tag => tag.length > 0)
+  );
+  return Array.from(tagSet).sort().join(',');
+}
+
+/**
+ * Key of the archive of the first `count` photos of a search
+ * @param {Object} request - tags, tagmode, source, size, format, count
+ */
+function buildCacheKey({ tags, tagmode = 'all', source, size, format, count }) {
+  const description = [normalizeTags(tags), tagmode, source, size, format, count].join('|');
+  // hashed: Firebase keys cannot hold "," or "."
+  return crypto.createHash('sha1').update(description).digest('hex');
+}
+
+function isExpired(entry) {
+  return !entry || Date.parse(entry.expiresAt) <= Date.now();
+}
+
+/**
+ * @returns {Promise<Object|null>} { filename, storagePath, signedUrl, expiresAt, ... }
+ */
+async function getCachedZip(cacheKey) {
+  try {
+    const entry = await getDataStore().get(`${CACHE_ROOT}/${cacheKey}`);
+    return isExpired(entry) ? null : entry;
+  } catch (error) {
+    // a cache miss only costs a new archive
+    console.error(`[CACHE] ✗ Error reading zip cache entry ${cacheKey}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Remember an archive until its download link expires
+ * @param {Object} zip - filename, storagePath, signedUrl, signedUrlExpiresAt and details
+ */
+async function setCachedZip(cacheKey, zip) {
+  const entry = Object.assign({}, zip, {
+    cachedAt: new Date().toISOString(),
+    expiresAt: zip.signedUrlExpiresAt
+  });
+  const ttlSeconds = Math.floor((Date.parse(entry.expiresAt) - Date.now()) / 1000);
+  if (ttlSeconds <= 0) {
+    return;
+  }
+
+  try {
+    // the data store has no TTL, expiresAt is checked on read
+    await getDataStore().set(`${CACHE_ROOT}/${cacheKey}`, entry);
+    console.log(`[CACHE] ✓ Stored "${zip.filename}" for ${cacheKey} (${ttlSeconds}s)`);
+  } catch (error) {
+    console.error(`[CACHE] ✗ Error writing zip cache entry ${cacheKey}:`, error.message);
+  }
+}
+
+/**
+ * Forget an archive, e.g. once its storage object is deleted
+ */
+async function deleteCachedZip(cacheKey) {
+  try {
+    await getDataStore().remove(`${CACHE_ROOT}/${cacheKey}`);
+  } catch (error) {
+    console.error(`[CACHE] ✗ Error deleting zip cache entry ${cacheKey}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Record jobId as the job building the archive of cacheKey, unless another
+ * job already does
+ * @returns {Promise<string>} id of the job building the archive
+ */
+async function claimInFlightJob(cacheKey, jobId) {
+  const expiresAt = Date.now() + IN_FLIGHT_TTL_MS;
+
+  const result = await getDataStore().transaction(`${IN_FLIGHT_ROOT}/${cacheKey}`, current => {
+    if (current && current.expiresAt > Date.now()) {
+      return; // abort: already claimed
+    }
+    return { jobId, expiresAt };
+  });
+  return result.value.jobId;
+}
+
+/**
+ * Drop the claim of jobId, once its archive is cached or it gave up
+ */
+async function releaseInFlightJob(cacheKey, jobId) {
+  try {
+    await getDataStore().transaction(`${IN_FLIGHT_ROOT}/${cacheKey}`, current => {
+      return current && current.jobId === jobId ? null : current;
+    });
+  } catch (error) {
+    // the claim expires on its own
+    console.error(`[CACHE] ✗ Error releasing in-flight job ${jobId}:`, error.message);
+  }
+}
+
+module.exports = {
+  SIGNED_URL_TTL_MS,
+  normalizeTags,
+  buildCacheKey,
+  getCachedZip,
+  setCachedZip,
+  deleteCachedZip,
+  claimInFlightJob,
+  releaseInFlightJob
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+const {
+  saveZipDataToFirebase,
+  findZipById,
+  updateZipEntry,
+  removeZipEntry,
+  releaseZipReference
+} = require('./firebase');
+const { getStorage, getKeyFromStoragePath } = require('./storage');
+const { getCachedZip, setCachedZip, deleteCachedZip } = require('./zip_cache');
+
+/**
+ * Whether another user still has the same archive in their history, for
+ * archives saved before their entries were counted
+ */
+async function isStillShared(zipId, zipData) {
+  for (const otherUid of zipData.sharedWith || []) {
+    if (await findZipById(otherUid, zipId)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Tell the users who already have an archive that newOwners have it too, so
+ * none of them deletes it from under the others
+ * @param {string} filename - filename of the archive
+ * @param {string[]} owners - users with the archive in their history
+ * @param {string[]} newOwners - users it was just saved for
+ */
+async function addZipOwners(filename, owners, newOwners) {
+  const zipId = filename.replace(/\.(zip|tar\.gz)$/, '');
+  for (const owner of owners) {
+    const zip = await findZipById(owner, zipId);
+    if (!zip) {
+      continue; // deleted meanwhile
+    }
+    const sharedWith = Array.from(new Set((zip.zipData.sharedWith || []).concat(newOwners)))
+      .filter(other => other !== owner);
+    await updateZipEntry(owner, zip.timeSlot, zipId, { sharedWith });
+  }
+}
+
+/**
+ * Save a cached archive to the history of newOwners, as if it was built for
+ * them. The storage object stays until all of its owners, first and new,
+ * have deleted it.
+ * @param {string} cacheKey - key of the archive in the zip cache
+ * @param {Object} cached - its cache entry
+ * @param {string[]} newOwners - users who asked for it
+ * @param {Object} details - size, format, and photoLinks when known
+ */
+async function shareCachedZip(cacheKey, cached, newOwners, { size, format, photoLinks = cached.photoLinks || [] }) {
+  const previousOwners = (cached.owners || []).filter(owner => !newOwners.includes(owner));
+  const allOwners = previousOwners.concat(newOwners);
+
+  for (const owner of newOwners) {
+    await saveZipDataToFirebase(owner, cached.filename, cached.signedUrl, cached.storagePath, photoLinks, {
+      size,
+      format,
+      sizeBytes: cached.sizeBytes,
+      cacheKey,
+      sharedWith: allOwners.filter(other => other !== owner)
+    });
+    console.log(`[FIREBASE] ✓ Zip data saved successfully for user "${owner}"`);
+  }
+  await addZipOwners(cached.filename, previousOwners, newOwners);
+  await setCachedZip(cacheKey, Object.assign({}, cached, { owners: allOwners }));
+}
+
+/**
+ * Delete a zip of the user's history, and its storage object unless another
+ * user still has it
+ * @returns {Promise<boolean>} false when the user has no such zip
+ */
+async function deleteZip(uid, zipId) {
+  const zip = await findZipById(uid, zipId);
+  if (!zip) {
+    return false;
+  }
+
+  const { zipData } = zip;
+  const storageKey = getKeyFromStoragePath(zipData.storagePath);
+
+  await removeZipEntry(uid, zip.timeSlot, zipId);
+  console.log(`[ZIPS] ✓ Zip ${zipId} deleted for user ${uid}`);
+
+  if (!storageKey) {
+    return true;
+  }
+  // Users deleting the same archive at once each release their own entry:
+  // only the last one gets 0 and deletes the object
+  const remaining = await releaseZipReference(zipData.storagePath);
+  const isLastEntry = remaining === null ? !(await isStillShared(zipId, zipData)) : remaining === 0;
+
+  if (isLastEntry) {
+    // the cache must not hand out a link to a deleted object
+    if (zipData.cacheKey) {
+      const cached = await getCachedZip(zipData.cacheKey);
+      if (cached && cached.storagePath === zipData.storagePath) {
+        await deleteCachedZip(zipData.cacheKey);
+      }
+    }
+    await getStorage().delete(storageKey);
+    console.log(`[ZIPS] ✓ Storage object ${storageKey} deleted`);
+  }
+  return true;
+}
+
+/**
+ * Set (or clear, with null) the custom label of a zip
+ * @returns {Promise<Object|null>} the updated zip data, null when the user has no such zip
+ */
+async function setZipLabel(uid, zipId, label) {
+  const zip = await findZipById(uid, zipId);
+  if (!zip) {
+    return null;
+  }
+
+  await updateZipEntry(uid, zip.timeSlot, zipId, { label });
+  console.log(`[ZIPS] ✓ Zip ${zipId} labelled "${label}" for user ${uid}`);
+  return Object.assign({}, zip.zipData, { label });
+}
+
+module.exports = {
+  addZipOwners,
+  shareCachedZip,
+  deleteZip,
+  setZipLabel
+};
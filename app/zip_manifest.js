@@ -0,0 +1,126 @@
+'use strict';
+
+// Columns of manifest.csv, in order
+const CSV_COLUMNS = [
+  'filename',
+  'title',
+  'author',
+  'author_id',
+  'link',
+  'media_url',
+  'tags',
+  'date_taken',
+  'bytes',
+  'sha256',
+  'status',
+  'error'
+];
+
+/**
+ * Flickr authors look like: nobody@flickr.com ("nathan.leefer")
+ */
+function getAuthorName(author) {
+  const match = /\("(.*)"\)/.exec(author || '');
+  return match ? match[1] : author || 'Unknown author';
+}
+
+function describePhoto(photo, size) {
+  return {
+    title: photo.title,
+    author: getAuthorName(photo.author),
+    author_id: photo.author_id || null,
+    link: photo.link,
+    media_url: photo.media[size],
+    tags: photo.tags || '',
+    date_taken: photo.date_taken || null
+  };
+}
+
+/**
+ * Manifest of an archive
+ * @param {Object} job - tags, source, size and format of the zip job
+ * @param {Array} entries - { filename, photo, bytes, sha256 } per archived photo
+ * @param {Array} failures - { photo, reason } per photo left out of the archive
+ */
+function buildManifest(job, entries, failures = []) {
+  return {
+    generatedAt: new Date().toISOString(),
+    tags: job.tags,
+    source: job.source,
+    size: job.size,
+    format: job.format,
+    photoCount: entries.length,
+    failedCount: failures.length,
+    entries: entries.map(entry =>
+      Object.assign({ filename: entry.filename }, describePhoto(entry.photo, job.size), {
+        bytes: entry.bytes,
+        sha256: entry.sha256
+      })
+    ),
+    failed: failures.map(failure =>
+      Object.assign(describePhoto(failure.photo, job.size), { error: failure.reason })
+    )
+  };
+}
+
+function toCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// one row per photo, the ones left out of the archive marked "failed"
+function toManifestCsv(manifest) {
+  const rows = manifest.entries
+    .map(entry => Object.assign({ status: 'ok' }, entry))
+    .concat(manifest.failed.map(failure => Object.assign({ status: 'failed' }, failure)))
+    .map(row => CSV_COLUMNS.map(column => toCsvValue(row[column])).join(','));
+  return [CSV_COLUMNS.join(',')].concat(rows).join('\r\n') + '\r\n';
+}
+
+function toManifestJson(manifest) {
+  return JSON.stringify(manifest, null, 2) + '\n';
+}
+
+/**
+ * ATTRIBUTION.txt: every photo grouped under its author
+ */
+function toAttributionText(manifest) {
+  const photosByAuthor = new Map();
+  manifest.entries.forEach(entry => {
+    const key = `${entry.author}${entry.author_id ? ` (${entry.author_id})` : ''}`;
+    photosByAuthor.set(key, (photosByAuthor.get(key) || []).concat(entry));
+  });
+
+  const lines = [
+    'Photo attribution',
+    '=================',
+    '',
+    `Photos found on ${manifest.source} for tags "${manifest.tags}".`,
+    'Each photo remains the property of its author. Check the license on',
+    'the original page before reusing it.',
+    ''
+  ];
+
+  photosByAuthor.forEach((entries, author) => {
+    lines.push(author);
+    entries.forEach(entry => {
+      lines.push(`  - ${entry.filename}: "${entry.title}" ${entry.link}`);
+    });
+    lines.push('');
+  });
+
+  if (manifest.failed.length > 0) {
+    lines.push(`${manifest.failed.length} photo(s) could not be downloaded, see manifest.json.`);
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  getAuthorName,
+  buildManifest,
+  toManifestCsv,
+  toManifestJson,
+  toAttributionText
+};